@@ -25,8 +25,13 @@ import Reviews from "./pages/seller/Reviews";
 import Invoices from "./pages/seller/Invoices";
 import FundUsage from "./pages/seller/FundUsage";
 import AdsManagement from "./pages/seller/AdsManagement";
+import Coupons from "./pages/seller/Coupons";
+import ProductImport from "./pages/seller/ProductImport";
+import Returns from "./pages/seller/Returns";
 import { GoogleOAuthProvider } from '@react-oauth/google';
 import Profile from "./pages/Profile";
+import MyOrders from "./pages/MyOrders";
+import OrderDetails from "./pages/OrderDetails";
 
 // Create a wrapper component that uses the context
 const AppContent = () => {
@@ -77,20 +82,26 @@ const AppContent = () => {
           <Route path="/product/:category/:id" element={<SingleProduct />} />
           <Route path="/cart" element={<Cart />} />
           <Route path="/add-address" element={<Address />} />
+          <Route path="/my-orders" element={<MyOrders />} />
+          <Route path="/my-orders/:orderId" element={<OrderDetails />} />
           <Route path="/seller" element={isSeller ? <SellerLayout /> : <SellerLogin />}>
             <Route index element={<Dashboard />} />
             <Route path="accounts" element={<Accounts />} />
             <Route path="orders" element={<Orders />} />
+            <Route path="returns" element={<Returns />} />
             <Route path="invoices" element={<Invoices />} />
             <Route path="customers" element={<Customers />} />
             <Route path="products" element={<ProductList />} />
             <Route path="add-product" element={<AddProduct />} />
+            <Route path="edit-product/:id" element={<AddProduct />} />
             <Route path="settings" element={<Settings />} />
             <Route path="analytics" element={<Analytics />} />
             <Route path="inventory" element={<Inventory />} />
             <Route path="reviews" element={<Reviews />} />
             <Route path="FundUsage" element={<FundUsage />} />
             <Route path="AdsManagement" element={<AdsManagement />} />
+            <Route path="coupons" element={<Coupons />} />
+            <Route path="import-products" element={<ProductImport />} />
           </Route>
         </Routes>
       </main>
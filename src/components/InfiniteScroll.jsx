@@ -0,0 +1,41 @@
+// InfiniteScroll.jsx - Loads the next page when the end of a list scrolls into view
+import { useEffect, useRef } from "react";
+
+const InfiniteScroll = ({ hasMore, loading, onLoadMore }) => {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading) return;
+
+    // Start loading a little before the shopper reaches the bottom
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) onLoadMore();
+      },
+      { rootMargin: "400px" }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loading, onLoadMore]);
+
+  if (!hasMore && !loading) return null;
+
+  return (
+    <div ref={sentinelRef} className="flex justify-center py-8">
+      {loading ? (
+        <div className="w-8 h-8 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin"></div>
+      ) : (
+        <button
+          onClick={onLoadMore}
+          className="px-6 py-2 text-sm text-purple-600 border border-purple-200 rounded-xl hover:bg-purple-50 transition-colors"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default InfiniteScroll;
@@ -3,6 +3,7 @@ import { Link, useLocation } from "react-router-dom";
 import { useAppContext } from "../context/AppContext";
 import { assets } from "../assets/assets";
 import toast from "react-hot-toast";
+import { CURRENCIES, getAvailableCurrencies } from "../utils/currency";
 
 const Navbar = () => {
   const [open, setOpen] = useState(false);
@@ -19,8 +20,13 @@ const Navbar = () => {
     setSearchQuery,
     cartCount,
     axios,
+    currency,
+    setCurrency,
+    exchangeRates,
   } = useAppContext();
 
+  const availableCurrencies = getAvailableCurrencies(exchangeRates);
+
   const location = useLocation();
 
   useEffect(() => {
@@ -31,6 +37,13 @@ const Navbar = () => {
     return () => window.removeEventListener("scroll", handleScroll);
   }, []);
 
+  // Searching from any page jumps to the catalog, where results are shown
+  useEffect(() => {
+    if (searchQuery.trim() && location.pathname !== "/products") {
+      navigate(`/products?q=${encodeURIComponent(searchQuery.trim())}`);
+    }
+  }, [searchQuery]);
+
   // Get user's live location with pincode
   const getLiveLocation = () => {
     if (!navigator.geolocation) {
@@ -305,6 +318,22 @@ const Navbar = () => {
 
             {/* Desktop Actions */}
             <div className="hidden lg:flex items-center space-x-4">
+              {/* Currency */}
+              {availableCurrencies.length > 1 && (
+                <select
+                  value={currency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                  aria-label="Currency"
+                  className="px-3 py-2 bg-gray-50 border border-gray-200 rounded-xl text-sm font-medium text-gray-700 focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                >
+                  {availableCurrencies.map((code) => (
+                    <option key={code} value={code}>
+                      {CURRENCIES[code].symbol} {code}
+                    </option>
+                  ))}
+                </select>
+              )}
+
               {/* Cart */}
               <button
                 onClick={() => navigate("/cart")}
@@ -506,6 +535,25 @@ const Navbar = () => {
 
             {/* Mobile Actions */}
             <div className="p-3 border-t border-gray-200 space-y-3">
+              {availableCurrencies.length > 1 && (
+                <div className="flex items-center justify-between w-full p-3 rounded-xl bg-gray-50">
+                  <div className="flex items-center space-x-3">
+                    <span className="text-xl">💱</span>
+                    <span className="font-medium">Currency</span>
+                  </div>
+                  <select
+                    value={currency}
+                    onChange={(e) => setCurrency(e.target.value)}
+                    className="px-2 py-1 bg-white border border-gray-200 rounded-lg text-sm"
+                  >
+                    {availableCurrencies.map((code) => (
+                      <option key={code} value={code}>
+                        {CURRENCIES[code].symbol} {code}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <button
                 onClick={() => {
                   navigate("/cart");
@@ -0,0 +1,210 @@
+// OrderActions.jsx - Customer cancel and return actions for an order
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { useAppContext } from "../context/AppContext";
+import { formatOrderAmount } from "../utils/currency";
+import {
+  DEFAULT_RETURN_POLICY,
+  MAX_RETURN_PHOTOS,
+  RETURN_REASONS,
+  RETURN_STATUSES,
+  canCancelOrder,
+  canRequestReturn,
+  getRefundBreakdown,
+  getReturnDeadline,
+  validateReturnRequest,
+} from "../utils/returns";
+
+const OrderActions = ({ order, returnPolicy = DEFAULT_RETURN_POLICY, onUpdated }) => {
+  const { axios } = useAppContext();
+  const [cancelling, setCancelling] = useState(false);
+  const [showReturnForm, setShowReturnForm] = useState(false);
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [photos, setPhotos] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const cancelOrder = async () => {
+    const refund = getRefundBreakdown(order);
+    const message =
+      refund.gatewayAmount > 0
+        ? `Cancel this order? ${formatOrderAmount(refund.gatewayAmount, order)} will be refunded to your original payment method.`
+        : "Cancel this order?";
+    if (!window.confirm(message)) return;
+
+    try {
+      setCancelling(true);
+      const { data } = await axios.post(`/api/orders/${order._id}/cancel`);
+      if (data.success) {
+        toast.success("Order cancelled");
+        onUpdated?.(data.order);
+      } else {
+        toast.error(data.message || "This order can no longer be cancelled");
+      }
+    } catch (error) {
+      console.error("Cancel order error:", error);
+      toast.error(error.response?.data?.message || "Failed to cancel order");
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const closeReturnForm = () => {
+    setShowReturnForm(false);
+    setReason("");
+    setDetails("");
+    setPhotos([]);
+    setErrors({});
+  };
+
+  const submitReturn = async (e) => {
+    e.preventDefault();
+    const validation = validateReturnRequest({ reason, details, photos });
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+
+    try {
+      setSubmitting(true);
+      const formData = new FormData();
+      formData.append("orderId", order._id);
+      formData.append("reason", reason);
+      formData.append("details", details.trim());
+      for (const photo of photos) {
+        formData.append("photos", photo);
+      }
+
+      const { data } = await axios.post("/api/returns", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      if (data.success) {
+        toast.success("Return requested. We'll review it shortly.");
+        closeReturnForm();
+        onUpdated?.(data.order);
+      } else {
+        toast.error(data.message || "Failed to request return");
+      }
+    } catch (error) {
+      console.error("Return request error:", error);
+      toast.error(error.response?.data?.message || "Failed to request return");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const returnStatus = order.returnRequest && RETURN_STATUSES[order.returnRequest.status];
+  const refund = order.refund || order.returnRequest?.refund;
+  const returnDeadline = getReturnDeadline(order, returnPolicy);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {canCancelOrder(order) && (
+          <button
+            onClick={cancelOrder}
+            disabled={cancelling}
+            className="border border-red-300 text-red-600 px-4 py-2 rounded-xl text-sm font-semibold hover:bg-red-50 transition-colors disabled:opacity-50"
+          >
+            {cancelling ? "Cancelling..." : "Cancel Order"}
+          </button>
+        )}
+        {canRequestReturn(order, returnPolicy) && (
+          <button
+            onClick={() => setShowReturnForm(true)}
+            className="border border-purple-300 text-purple-600 px-4 py-2 rounded-xl text-sm font-semibold hover:bg-purple-50 transition-colors"
+          >
+            Return Items
+          </button>
+        )}
+        {returnStatus && (
+          <span className={`px-3 py-1 rounded-full text-xs font-medium ${returnStatus.color}`}>{returnStatus.label}</span>
+        )}
+      </div>
+
+      {canRequestReturn(order, returnPolicy) && returnDeadline && (
+        <p className="text-xs text-gray-500">Returns accepted until {returnDeadline.toLocaleDateString()}</p>
+      )}
+      {order.returnRequest?.status === "rejected" && order.returnRequest.sellerNote && (
+        <p className="text-sm text-gray-600">Seller's note: {order.returnRequest.sellerNote}</p>
+      )}
+      {refund && (
+        <p className="text-sm text-green-700">
+          💸 {formatOrderAmount(refund.amount, order)} refunded
+          {refund.status === "processed" ? "" : ` (${refund.status})`} - allow 5-7 business days to reach your account
+        </p>
+      )}
+
+      {/* Return Request Modal */}
+      {showReturnForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <form onSubmit={submitReturn} className="bg-white rounded-2xl max-w-md w-full p-6 space-y-4">
+            <h3 className="text-xl font-bold text-gray-900">Return Items</h3>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+              <select
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              >
+                <option value="">Select a reason</option>
+                {RETURN_REASONS.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+              {errors.reason && <p className="text-sm text-red-600 mt-1">{errors.reason}</p>}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Details</label>
+              <textarea
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                rows="3"
+                maxLength={1000}
+                placeholder="What went wrong?"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              />
+              {errors.details && <p className="text-sm text-red-600 mt-1">{errors.details}</p>}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Photos <span className="text-gray-500 font-normal">(up to {MAX_RETURN_PHOTOS})</span>
+              </label>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                onChange={(e) => setPhotos(Array.from(e.target.files).slice(0, MAX_RETURN_PHOTOS))}
+                className="w-full text-sm text-gray-600 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-purple-50 file:text-purple-700 hover:file:bg-purple-100"
+              />
+              {errors.photos && <p className="text-sm text-red-600 mt-1">{errors.photos}</p>}
+            </div>
+
+            <div className="flex gap-3 pt-2">
+              <button
+                type="submit"
+                disabled={submitting}
+                className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 transition duration-300"
+              >
+                {submitting ? "Submitting..." : "Request Return"}
+              </button>
+              <button
+                type="button"
+                onClick={closeReturnForm}
+                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 transition duration-300"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderActions;
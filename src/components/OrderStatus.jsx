@@ -0,0 +1,47 @@
+// OrderStatus.jsx - Order status colours, icons, labels and badge
+
+export const getStatusColor = (status) => {
+  switch (status?.toLowerCase()) {
+    case 'delivered': return 'bg-green-100 text-green-800';
+    case 'out for delivery': return 'bg-indigo-100 text-indigo-800';
+    case 'shipped': return 'bg-blue-100 text-blue-800';
+    case 'processing': return 'bg-yellow-100 text-yellow-800';
+    case 'order placed': return 'bg-gray-100 text-gray-800';
+    case 'cancelled': return 'bg-red-100 text-red-800';
+    case 'returned': return 'bg-purple-100 text-purple-800';
+    case 'pending_payment': return 'bg-orange-100 text-orange-800';
+    case 'expired': return 'bg-gray-200 text-gray-600';
+    default: return 'bg-gray-100 text-gray-800';
+  }
+};
+
+export const getStatusIcon = (status) => {
+  switch (status?.toLowerCase()) {
+    case 'delivered': return '✅';
+    case 'out for delivery': return '🛵';
+    case 'shipped': return '🚚';
+    case 'processing': return '🔄';
+    case 'order placed': return '📦';
+    case 'cancelled': return '❌';
+    case 'returned': return '↩️';
+    case 'pending_payment': return '⏳';
+    case 'expired': return '⌛';
+    default: return '📦';
+  }
+};
+
+export const getStatusLabel = (status) => {
+  switch (status?.toLowerCase()) {
+    case 'pending_payment': return 'Awaiting Payment';
+    case 'expired': return 'Expired (Unpaid)';
+    default: return status || 'Order Placed';
+  }
+};
+
+const OrderStatusBadge = ({ status, className = "px-3 py-1 text-sm" }) => (
+  <span className={`rounded-full font-medium ${className} ${getStatusColor(status)}`}>
+    {getStatusLabel(status)}
+  </span>
+);
+
+export default OrderStatusBadge;
@@ -0,0 +1,51 @@
+// PatternDownload.jsx - Signed download link for a purchased pattern
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { useAppContext } from "../context/AppContext";
+import { canDownloadPattern, getDownloadsRemaining } from "../utils/patterns";
+
+const PatternDownload = ({ order, item, onDownloaded }) => {
+  const { axios } = useAppContext();
+  const [downloading, setDownloading] = useState(false);
+
+  if (!canDownloadPattern(order, item)) return null;
+  const remaining = getDownloadsRemaining(item);
+
+  // The server checks payment and the download limit, then returns a
+  // short-lived signed URL and the updated download count
+  const downloadPattern = async () => {
+    try {
+      setDownloading(true);
+      const { data } = await axios.post(`/api/patterns/${order._id}/${item._id}/link`);
+
+      if (data.success) {
+        window.open(data.url, "_blank", "noopener");
+        onDownloaded?.(item._id, { downloadsUsed: data.downloadsUsed, downloadLimit: data.downloadLimit });
+      } else {
+        toast.error(data.message || "Download unavailable");
+      }
+    } catch (error) {
+      console.error("Pattern download error:", error);
+      toast.error(error.response?.data?.message || "Failed to get download link");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="mt-2 flex items-center gap-2">
+      <button
+        onClick={downloadPattern}
+        disabled={remaining === 0 || downloading}
+        className="bg-blue-500 text-white px-3 py-1 rounded-lg text-xs font-medium hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {downloading ? "Preparing..." : "📥 Download Pattern"}
+      </button>
+      <span className="text-xs text-gray-500">
+        {remaining === 0 ? "Download limit reached" : `${remaining} download${remaining === 1 ? "" : "s"} left`}
+      </span>
+    </div>
+  );
+};
+
+export default PatternDownload;
@@ -1,17 +1,23 @@
 import { assets } from "../assets/assets";
 import { useAppContext } from "../context/AppContext";
+import { getStartingPrice, hasVariants } from "../utils/variants";
 
 const ProductCard = ({ product, index }) => {
-  const { addToCart, removeFromCart, cartItems, navigate } = useAppContext();
+  const { addToCart, removeFromCart, cartItems, navigate, formatPrice, wishlist, toggleWishlist } = useAppContext();
   
   if (!product) return null;
 
+  // Products with variants are added from their page, once options are picked
+  const withVariants = hasVariants(product);
+  const saved = wishlist.includes(product._id);
+  const openProduct = () => {
+    navigate(`/product/${product.category?.toLowerCase()}/${product._id}`);
+    window.scrollTo(0, 0);
+  };
+
   return (
     <div
-      onClick={() => {
-        navigate(`/product/${product.category?.toLowerCase()}/${product._id}`);
-        window.scrollTo(0, 0);
-      }}
+      onClick={openProduct}
       className="group bg-white rounded-2xl p-4 shadow-lg hover:shadow-2xl transition-all duration-300 transform hover:-translate-y-2 cursor-pointer border border-gray-100"
       style={{ animationDelay: `${index * 100}ms` }}
     >
@@ -30,6 +36,11 @@ const ProductCard = ({ product, index }) => {
               Made to Order
             </span>
           )}
+          {!product.inStock && (
+            <span className="bg-gray-700 text-white px-2 py-1 rounded-full text-xs font-bold shadow-lg">
+              Out of Stock
+            </span>
+          )}
           {product.isCustomizable && (
             <span className="bg-pink-500 text-white px-2 py-1 rounded-full text-xs font-bold shadow-lg">
               Customizable
@@ -37,9 +48,21 @@ const ProductCard = ({ product, index }) => {
           )}
         </div>
 
+        {/* Wishlist Heart */}
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            toggleWishlist(product._id);
+          }}
+          className="absolute top-3 right-3 bg-white/90 p-2 rounded-full shadow-lg hover:scale-110 transition-transform"
+          aria-label={saved ? "Remove from wishlist" : "Save to wishlist"}
+        >
+          <span className={`text-lg leading-none ${saved ? "text-pink-500" : "text-gray-400"}`}>{saved ? "♥" : "♡"}</span>
+        </button>
+
         {/* Quick Add Button */}
-        <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-opacity duration-300">
-          {!cartItems?.[product._id] ? (
+        <div className="absolute top-14 right-3 opacity-0 group-hover:opacity-100 transition-opacity duration-300">
+          {!withVariants && product.inStock && !cartItems?.[product._id] ? (
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -71,12 +94,12 @@ const ProductCard = ({ product, index }) => {
             {Array(5).fill("").map((_, i) => (
               <span
                 key={i}
-                className={`text-sm ${i < Math.floor(product.rating || 4) ? 'text-yellow-400' : 'text-gray-300'}`}
+                className={`text-sm ${i < Math.round(product.rating || 0) ? 'text-yellow-400' : 'text-gray-300'}`}
               >
                 ★
               </span>
             ))}
-            <span className="text-xs text-gray-500 ml-1">({product.rating || 4})</span>
+            <span className="text-xs text-gray-500 ml-1">({product.reviewCount || 0})</span>
           </div>
         </div>
 
@@ -106,17 +129,34 @@ const ProductCard = ({ product, index }) => {
         <div className="flex items-center justify-between">
           <div className="space-y-1">
             <p className="text-2xl font-bold text-purple-600">
-              ₹{product.offerPrice || product.price}
+              {withVariants && <span className="text-sm font-medium text-gray-500 mr-1">from</span>}
+              {formatPrice(getStartingPrice(product))}
             </p>
-            {product.offerPrice && product.offerPrice < product.price && (
+            {!withVariants && product.offerPrice && product.offerPrice < product.price && (
               <p className="text-gray-400 text-sm line-through">
-                ${product.price}
+                {formatPrice(product.price)}
               </p>
             )}
           </div>
 
           <div onClick={(e) => e.stopPropagation()}>
-            {!cartItems?.[product._id] ? (
+            {withVariants ? (
+              <button
+                onClick={openProduct}
+                className="bg-purple-600 text-white px-4 py-2 rounded-xl font-semibold hover:bg-purple-700 transition-colors shadow-lg hover:shadow-xl"
+              >
+                Choose
+              </button>
+            ) : !product.inStock ? (
+              <button
+                onClick={() => !saved && toggleWishlist(product._id)}
+                className={`px-4 py-2 rounded-xl font-semibold transition-colors ${
+                  saved ? "bg-pink-50 text-pink-600 cursor-default" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                }`}
+              >
+                {saved ? "🔔 Watching" : "🔔 Notify me"}
+              </button>
+            ) : !cartItems?.[product._id] ? (
               <button
                 onClick={() => addToCart(product._id)}
                 className="bg-purple-600 text-white px-4 py-2 rounded-xl font-semibold hover:bg-purple-700 transition-colors flex items-center space-x-2 shadow-lg hover:shadow-xl"
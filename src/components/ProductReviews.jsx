@@ -0,0 +1,348 @@
+// ProductReviews.jsx - Approved reviews and the verified-buyer review form
+import { useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { useAppContext } from "../context/AppContext";
+import { MAX_COMMENT_LENGTH, MAX_REVIEW_PHOTOS, REVIEW_PHOTO_TYPES, validateReview } from "../utils/reviews";
+
+const Stars = ({ rating, className = "" }) => (
+  <span className={`text-yellow-400 ${className}`}>
+    {Array(5)
+      .fill("")
+      .map((_, i) => (
+        <span key={i} className={i < Math.round(rating) ? "" : "text-gray-300"}>
+          ★
+        </span>
+      ))}
+  </span>
+);
+
+const ProductReviews = ({ productId }) => {
+  const { axios, user, setShowUserLogin } = useAppContext();
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [eligibility, setEligibility] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [rating, setRating] = useState(0);
+  const [hoverRating, setHoverRating] = useState(0);
+  const [comment, setComment] = useState("");
+  // { file, preview } - each preview URL is made once and revoked when the
+  // photo is removed, the form is reset or the component unmounts
+  const [photos, setPhotos] = useState([]);
+  const photosRef = useRef(photos);
+  photosRef.current = photos;
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchReviews = async () => {
+    try {
+      setLoading(true);
+      const { data } = await axios.get(`/api/reviews/product/${productId}`);
+      if (data.success) {
+        setReviews(data.reviews || []);
+        setSummary(data.summary || null);
+      }
+    } catch (error) {
+      console.error("Reviews error:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only customers with a delivered order for this product may review it
+  const fetchEligibility = async () => {
+    try {
+      const { data } = await axios.get(`/api/reviews/eligibility/${productId}`);
+      setEligibility(data.success ? data : null);
+    } catch (error) {
+      console.error("Review eligibility error:", error);
+      setEligibility(null);
+    }
+  };
+
+  useEffect(() => {
+    fetchReviews();
+  }, [productId]);
+
+  useEffect(() => () => photosRef.current.forEach((photo) => URL.revokeObjectURL(photo.preview)), []);
+
+  useEffect(() => {
+    if (user) {
+      fetchEligibility();
+    } else {
+      setEligibility(null);
+    }
+  }, [user, productId]);
+
+  const resetForm = () => {
+    setShowForm(false);
+    setRating(0);
+    setComment("");
+    photos.forEach((photo) => URL.revokeObjectURL(photo.preview));
+    setPhotos([]);
+    setErrors({});
+  };
+
+  const handlePhotos = (e) => {
+    const added = Array.from(e.target.files)
+      .slice(0, MAX_REVIEW_PHOTOS - photos.length)
+      .map((file) => ({ file, preview: URL.createObjectURL(file) }));
+    const selected = [...photos, ...added];
+    e.target.value = "";
+    setPhotos(selected);
+    setErrors((prev) => ({
+      ...prev,
+      photos: validateReview({ rating, comment, photos: selected.map((photo) => photo.file) }).photos,
+    }));
+  };
+
+  const removePhoto = (index) => {
+    URL.revokeObjectURL(photos[index].preview);
+    setPhotos(photos.filter((_, i) => i !== index));
+  };
+
+  const submitReview = async (e) => {
+    e.preventDefault();
+    const validation = validateReview({ rating, comment, photos: photos.map((photo) => photo.file) });
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+
+    try {
+      setSubmitting(true);
+      const formData = new FormData();
+      formData.append("productId", productId);
+      formData.append("rating", rating);
+      formData.append("comment", comment.trim());
+      for (const photo of photos) {
+        formData.append("photos", photo.file);
+      }
+
+      const { data } = await axios.post("/api/reviews", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+
+      if (data.success) {
+        toast.success("Thanks! Your review will appear once it's approved.");
+        resetForm();
+        setEligibility({ eligible: false, alreadyReviewed: true });
+      } else {
+        toast.error(data.message || "Failed to submit review");
+      }
+    } catch (error) {
+      console.error("Submit review error:", error);
+      toast.error(error.response?.data?.message || "Failed to submit review");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const reviewCount = summary?.reviewCount ?? reviews.length;
+
+  const renderPrompt = () => {
+    if (!user) {
+      return (
+        <button
+          onClick={() => setShowUserLogin(true)}
+          className="text-purple-600 hover:text-purple-700 text-sm font-medium"
+        >
+          Log in to review this creation
+        </button>
+      );
+    }
+    if (eligibility?.alreadyReviewed) {
+      return <p className="text-sm text-gray-500">✓ You've reviewed this creation</p>;
+    }
+    if (!eligibility?.eligible) {
+      return (
+        <p className="text-sm text-gray-500">
+          {eligibility?.reason || "Reviews can be written once your order with this creation is delivered"}
+        </p>
+      );
+    }
+    return (
+      !showForm && (
+        <button
+          onClick={() => setShowForm(true)}
+          className="bg-purple-500 hover:bg-purple-600 text-white px-6 py-2 rounded-lg font-semibold transition duration-300"
+        >
+          Write a Review
+        </button>
+      )
+    );
+  };
+
+  return (
+    <div className="mt-20" id="reviews">
+      <div className="flex flex-col md:flex-row md:items-end justify-between gap-4 mb-8">
+        <div>
+          <h2 className="text-2xl lg:text-3xl font-bold text-gray-800">Customer Reviews</h2>
+          {reviewCount > 0 ? (
+            <div className="flex items-center gap-2 mt-2">
+              <Stars rating={summary?.rating || 0} className="text-xl" />
+              <span className="text-gray-700 font-medium">{summary?.rating?.toFixed(1)} out of 5</span>
+              <span className="text-gray-500">
+                ({reviewCount} review{reviewCount === 1 ? "" : "s"})
+              </span>
+            </div>
+          ) : (
+            !loading && <p className="text-gray-600 mt-2">No reviews yet</p>
+          )}
+        </div>
+        {renderPrompt()}
+      </div>
+
+      {/* Star Breakdown */}
+      {reviewCount > 0 && summary?.distribution && (
+        <div className="max-w-sm space-y-1 mb-8">
+          {[5, 4, 3, 2, 1].map((stars) => {
+            const count = summary.distribution[stars] || 0;
+            return (
+              <div key={stars} className="flex items-center gap-2 text-sm">
+                <span className="w-10 text-gray-600">{stars} ★</span>
+                <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <div className="h-full bg-yellow-400" style={{ width: `${(count / reviewCount) * 100}%` }}></div>
+                </div>
+                <span className="w-8 text-right text-gray-500">{count}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Review Form */}
+      {showForm && (
+        <form onSubmit={submitReview} className="bg-purple-50/40 border border-purple-200 rounded-lg p-6 mb-8 space-y-4">
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Your Rating</p>
+            <div className="flex gap-1" onMouseLeave={() => setHoverRating(0)}>
+              {[1, 2, 3, 4, 5].map((stars) => (
+                <button
+                  type="button"
+                  key={stars}
+                  onClick={() => setRating(stars)}
+                  onMouseEnter={() => setHoverRating(stars)}
+                  className={`text-3xl transition ${stars <= (hoverRating || rating) ? "text-yellow-400" : "text-gray-300"}`}
+                  aria-label={`${stars} star${stars === 1 ? "" : "s"}`}
+                >
+                  ★
+                </button>
+              ))}
+            </div>
+            {errors.rating && <p className="text-sm text-red-600 mt-1">{errors.rating}</p>}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Your Review</label>
+            <textarea
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              rows="4"
+              maxLength={MAX_COMMENT_LENGTH}
+              placeholder="How does it look and feel? Was it what you expected?"
+              className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            <div className="flex justify-between text-xs mt-1">
+              <span className="text-red-600">{errors.comment}</span>
+              <span className="text-gray-500">
+                {comment.length}/{MAX_COMMENT_LENGTH}
+              </span>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              Photos <span className="text-gray-500 font-normal">(optional, up to {MAX_REVIEW_PHOTOS})</span>
+            </p>
+            <div className="flex flex-wrap gap-3">
+              {photos.map((photo, index) => (
+                <div key={photo.preview} className="relative w-20 h-20">
+                  <img src={photo.preview} alt="Review photo" className="w-full h-full object-cover rounded-lg" />
+                  <button
+                    type="button"
+                    onClick={() => removePhoto(index)}
+                    className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-5 h-5 text-xs"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              {photos.length < MAX_REVIEW_PHOTOS && (
+                <label className="w-20 h-20 border-2 border-dashed border-purple-300 rounded-lg flex items-center justify-center cursor-pointer hover:bg-purple-50 text-2xl text-purple-400">
+                  +
+                  <input type="file" accept={REVIEW_PHOTO_TYPES.join(",")} multiple hidden onChange={handlePhotos} />
+                </label>
+              )}
+            </div>
+            {errors.photos && <p className="text-sm text-red-600 mt-1">{errors.photos}</p>}
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="bg-purple-500 hover:bg-purple-600 text-white px-6 py-2 rounded-lg font-semibold transition duration-300 disabled:opacity-50"
+            >
+              {submitting ? "Submitting..." : "Submit Review"}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="bg-gray-100 text-gray-700 px-6 py-2 rounded-lg hover:bg-gray-200 transition duration-300"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Approved Reviews */}
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="w-8 h-8 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin"></div>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {reviews.map((review) => (
+            <div key={review._id} className="py-6">
+              <div className="flex items-center gap-3">
+                <Stars rating={review.rating} />
+                <span className="font-semibold text-gray-800">{review.user?.name || "Customer"}</span>
+                <span className="bg-green-100 text-green-800 px-2 py-0.5 rounded-full text-xs">✓ Verified Buyer</span>
+                <span className="text-sm text-gray-500">{new Date(review.createdAt).toLocaleDateString()}</span>
+              </div>
+              <p className="text-gray-700 mt-3 whitespace-pre-line">{review.comment}</p>
+
+              {review.photos?.length > 0 && (
+                <div className="flex gap-3 mt-3">
+                  {review.photos.map((photo) => (
+                    <a key={photo} href={`http://localhost:5000/images/${photo}`} target="_blank" rel="noopener noreferrer">
+                      <img
+                        src={`http://localhost:5000/images/${photo}`}
+                        alt="Customer photo"
+                        className="w-20 h-20 object-cover rounded-lg border border-gray-200"
+                      />
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              {review.reply && (
+                <div className="mt-4 p-4 bg-purple-50 rounded-lg border border-purple-200">
+                  <div className="flex items-center gap-2 mb-2">
+                    <span className="font-semibold text-purple-800">Store Response</span>
+                    <span className="text-sm text-purple-600">
+                      {new Date(review.reply.repliedAt).toLocaleDateString()}
+                    </span>
+                  </div>
+                  <p className="text-purple-700">{review.reply.text}</p>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductReviews;
@@ -0,0 +1,29 @@
+// TaxBreakdown.jsx - GST lines for a quote, order or invoice
+import { formatTaxLabel } from "../utils/gst";
+
+// With tax-inclusive prices the lines are already in the amounts above
+// them, so they are shown as "Includes ..." rather than added on
+const TaxBreakdown = ({ taxLines = [], tax, pricesIncludeTax = false, format }) => {
+  if (!taxLines?.length) {
+    return (
+      <div className="flex justify-between">
+        <span className="text-gray-600">Tax</span>
+        <span>{format(tax)}</span>
+      </div>
+    );
+  }
+
+  return taxLines.map((line) => (
+    <div
+      key={`${line.label}-${line.rate}`}
+      className={`flex justify-between ${pricesIncludeTax ? "text-sm text-gray-500" : ""}`}
+    >
+      <span className={pricesIncludeTax ? "" : "text-gray-600"}>
+        {pricesIncludeTax ? `Includes ${formatTaxLabel(line)}` : formatTaxLabel(line)}
+      </span>
+      <span>{format(line.amount)}</span>
+    </div>
+  ));
+};
+
+export default TaxBreakdown;
@@ -0,0 +1,146 @@
+// StockMovementModal.jsx - Record a restock, damage or correction in the stock ledger
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { useAppContext } from "../../context/AppContext";
+import { isRestock } from "../../utils/wishlist";
+import { MANUAL_MOVEMENT_TYPES, MOVEMENT_TYPES, getMovementEffect } from "../../utils/stockLedger";
+
+// Stock only changes through ledger movements, so every number can be explained.
+// item is { productId, variantId, currentStock }. Resolves to the server's
+// reply ({ stock, notified }), or null when nothing was recorded.
+export const recordStockMovement = async (axios, item, { type, quantity, reason = "" }) => {
+  try {
+    const { data } = await axios.post(`/api/admin/inventory/${item.productId}/movements`, {
+      variantId: item.variantId || undefined,
+      type,
+      quantity,
+      reason,
+    });
+    if (data.success) {
+      toast.success(`${MOVEMENT_TYPES[type].label} recorded`);
+      // The server alerts wishlisting customers when a sold-out item returns
+      if (isRestock(item.currentStock, data.stock) && data.notified > 0) {
+        toast.success(`Back-in-stock alert sent to ${data.notified} customer${data.notified === 1 ? "" : "s"}`);
+      }
+      return data;
+    }
+    toast.error(data.message || "Failed to record stock movement");
+  } catch (error) {
+    console.error("Stock movement error:", error);
+    toast.error(error.response?.data?.message || "Failed to record stock movement");
+  }
+  return null;
+};
+
+// item also carries the name and sku shown in the header. Without an item
+// it is the Bulk Restock form, which has nothing to record against yet.
+const StockMovementModal = ({ item, initialQuantity = "", onClose, onRecorded }) => {
+  const { axios } = useAppContext();
+  const [type, setType] = useState("restock");
+  const [quantity, setQuantity] = useState(initialQuantity ? String(initialQuantity) : "");
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const needsReason = ["damage", "correction"].includes(type);
+  const stockAfterMovement = item && quantity
+    ? item.currentStock + getMovementEffect({ type, quantity: parseInt(quantity) || 0 }).stock
+    : null;
+
+  const handleSubmit = async () => {
+    if (!item || !quantity) return;
+
+    setSaving(true);
+    const data = await recordStockMovement(axios, item, { type, quantity: parseInt(quantity), reason: reason.trim() });
+    setSaving(false);
+    if (data) onRecorded?.(data);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white p-6 rounded-lg max-w-md w-full">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">
+          {item ? `Adjust Stock: ${item.name}` : "Bulk Restock"}
+        </h3>
+
+        {item && (
+          <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Current Stock: {item.currentStock}</p>
+            {item.sku && <p className="text-sm text-gray-600">SKU: {item.sku}</p>}
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Movement
+            </label>
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+            >
+              {MANUAL_MOVEMENT_TYPES.map((option) => (
+                <option key={option} value={option}>{MOVEMENT_TYPES[option].label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {type === "correction" ? "Change (use a minus sign to reduce)" : type === "damage" ? "Quantity to Remove" : "Quantity to Add"}
+            </label>
+            <input
+              type="number"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              placeholder="Enter quantity"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              min={type === "correction" ? undefined : "1"}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Reason {needsReason ? "" : <span className="text-gray-500 font-normal">(optional)</span>}
+            </label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={type === "damage" ? "e.g. Stained in storage" : type === "correction" ? "e.g. Monthly stock count" : "e.g. New batch finished"}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+            />
+          </div>
+
+          {stockAfterMovement !== null && (
+            <div className={`p-3 rounded-lg ${stockAfterMovement < 0 ? "bg-red-50" : "bg-purple-50"}`}>
+              <p className={`text-sm ${stockAfterMovement < 0 ? "text-red-700" : "text-purple-700"}`}>
+                {stockAfterMovement < 0 ? "Not enough stock for this change" : `New stock will be: ${stockAfterMovement}`}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-3 mt-6">
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={saving || !item || !quantity || (needsReason && !reason.trim()) || stockAfterMovement < 0}
+            className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition duration-300"
+          >
+            Record {MOVEMENT_TYPES[type].label}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 transition duration-300"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockMovementModal;
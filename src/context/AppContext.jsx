@@ -1,8 +1,14 @@
 // AppContext.jsx - Real-time Backend Focused
-import { createContext, useContext, useEffect, useState } from "react";
+import { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import toast from "react-hot-toast";
 import axios from "axios";
+import { loadGuestCart, saveGuestCart, clearGuestCart, mergeCarts } from "../utils/guestCart";
+import { createCartSync } from "../utils/cartSync";
+import { BASE_CURRENCY, formatCurrency, getAvailableCurrencies } from "../utils/currency";
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from "../utils/pagination";
+import { PATTERN_ITEM_ID, getCartKey, parseCartKey, resolveCartItem } from "../utils/variants";
+import { getItemStock } from "../utils/stock";
 
 // Smart backend URL configuration
 const getBackendConfig = () => {
@@ -45,12 +51,47 @@ export const AppContextProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isSeller, setIsSeller] = useState(false);
   const [showUserLogin, setShowUserLogin] = useState(false);
-  const [products, setProducts] = useState([]);
-  const [cartItems, setCartItems] = useState({});
+  // Normalized product cache keyed by id; pages and lookups fill it in
+  const [productCache, setProductCache] = useState({});
+  const productEtagsRef = useRef({});
+  const [cartItems, setCartItems] = useState(() => loadGuestCart());
+  // Cart keys the signed-in user has saved; the server keeps the list
+  const [wishlist, setWishlist] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
   const [backendConnected, setBackendConnected] = useState(false);
   const [backendChecking, setBackendChecking] = useState(true);
   const [loading, setLoading] = useState(true);
+  const [currency, setCurrencyState] = useState(
+    () => localStorage.getItem("velvoria_currency") || BASE_CURRENCY
+  );
+  const [exchangeRates, setExchangeRates] = useState({});
+
+  // One sync queue per session; batches cart writes and resolves conflicts
+  const cartSyncRef = useRef(null);
+  if (!cartSyncRef.current) {
+    cartSyncRef.current = createCartSync({
+      http: axios,
+      onConflict: (mergedCart) => {
+        setCartItems(mergedCart);
+        toast("Your cart changed in another tab - we've combined both carts", {
+          id: "cart-conflict",
+          icon: "🛒",
+        });
+      },
+      onError: (error) => {
+        console.error("Failed to update cart in backend:", error);
+        toast.error("Cart updated locally but failed to sync with server", { id: "cart-sync" });
+      },
+    });
+  }
+  const cartSync = cartSyncRef.current;
+
+  // Queue a cart write for signed-in users
+  const syncCart = (cartData) => {
+    if (backendConnected && user) {
+      cartSync.schedule(cartData);
+    }
+  };
 
   // Enhanced backend connection check
   const checkBackendConnection = async () => {
@@ -91,11 +132,76 @@ export const AppContextProvider = ({ children }) => {
     }
   };
 
-  // Fetch products from backend
-  const fetchProducts = async () => {
+  // Every product loaded so far, for views that only need what is cached
+  const products = useMemo(() => Object.values(productCache), [productCache]);
+
+  const cacheProducts = (list, { replace = false } = {}) => {
+    const entries = Object.fromEntries(list.map((product) => [product._id, product]));
+    setProductCache((prev) => (replace ? entries : { ...prev, ...entries }));
+  };
+
+  const getProduct = (id) => productCache[id];
+
+  // Fetch one page of the catalog: { products, nextCursor }
+  const fetchProductPage = async ({ cursor, limit = DEFAULT_PAGE_SIZE, ...filters } = {}) => {
+    const { data } = await axios.get("/api/product/list", {
+      params: { cursor: cursor || undefined, limit, ...filters },
+    });
+
+    if (!data.success) {
+      throw new Error(data.message || "Failed to load products");
+    }
+
+    const page = data.products || [];
+    cacheProducts(page);
+    return { products: page, nextCursor: data.nextCursor || null };
+  };
+
+  // Fetch a single product, revalidating with its ETag so an unchanged
+  // product costs a 304 instead of a full download. Returns null when the
+  // product no longer exists.
+  const fetchProduct = async (id) => {
+    const etag = productEtagsRef.current[id];
+    const response = await axios.get(`/api/product/${id}`, {
+      headers: etag && productCache[id] ? { "If-None-Match": etag } : {},
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304 || status === 404,
+    });
+
+    if (response.status === 304) {
+      return productCache[id];
+    }
+    if (response.status === 404 || !response.data.success) {
+      delete productEtagsRef.current[id];
+      return null;
+    }
+
+    if (response.headers.etag) {
+      productEtagsRef.current[id] = response.headers.etag;
+    }
+    cacheProducts([response.data.product]);
+    return response.data.product;
+  };
+
+  // Make sure the given products are cached. Resolves to the products that
+  // exist, or null if any could not be checked (e.g. network failure).
+  const ensureProducts = async (ids) => {
+    const missing = ids.filter((id) => !productCache[id]);
+    const results = await Promise.allSettled(missing.map((id) => fetchProduct(id)));
+
+    if (results.some((result) => result.status === "rejected")) {
+      console.error("❌ Failed to load some products");
+      return null;
+    }
+
+    const fetched = results.map((result) => result.value).filter(Boolean);
+    return [...ids.map((id) => productCache[id]).filter(Boolean), ...fetched];
+  };
+
+  // Load the first page of the catalog. Seller tools pass { all: true } to
+  // walk every page, since they manage the whole catalog at once.
+  const fetchProducts = async ({ all = false } = {}) => {
     if (!backendConnected) {
       console.log("📦 Cannot fetch products - backend not connected");
-      setProducts([]);
       setLoading(false);
       return;
     }
@@ -103,25 +209,96 @@ export const AppContextProvider = ({ children }) => {
     try {
       setLoading(true);
       console.log("🔄 Fetching products from backend...");
-      
-      const { data } = await axios.get("/api/product/list");
-      
-      if (data.success && data.products) {
-        setProducts(data.products);
-        console.log(`✅ Loaded ${data.products.length} products from backend`);
-      } else {
-        console.log("❌ No products received from backend");
-        setProducts([]);
+
+      if (!all) {
+        const { products: page } = await fetchProductPage();
+        console.log(`✅ Loaded ${page.length} products from backend`);
+        return;
       }
+
+      const catalog = [];
+      let cursor = null;
+      do {
+        const page = await fetchProductPage({ cursor, limit: MAX_PAGE_SIZE });
+        catalog.push(...page.products);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      cacheProducts(catalog, { replace: true });
+      console.log(`✅ Loaded ${catalog.length} products from backend`);
     } catch (error) {
       console.error("❌ Failed to fetch products:", error.message);
-      setProducts([]);
       toast.error("Failed to load products");
     } finally {
       setLoading(false);
     }
   };
 
+  // Fetch the seller's exchange rate table
+  const fetchCurrencySettings = async () => {
+    try {
+      const { data } = await axios.get("/api/settings/currency");
+      if (data.success) {
+        const rates = data.exchangeRates || {};
+        setExchangeRates(rates);
+
+        const available = getAvailableCurrencies(rates);
+        const stored = localStorage.getItem("velvoria_currency");
+        if (!stored || !available.includes(stored)) {
+          setCurrencyState(available.includes(data.defaultCurrency) ? data.defaultCurrency : BASE_CURRENCY);
+        }
+      }
+    } catch (error) {
+      console.error("❌ Failed to fetch currency settings:", error.message);
+    }
+  };
+
+  const setCurrency = (code) => {
+    setCurrencyState(code);
+    localStorage.setItem("velvoria_currency", code);
+  };
+
+  // Format a base-currency amount in the shopper's selected currency
+  const formatPrice = (amount) => formatCurrency(amount, currency, exchangeRates);
+
+  // Merge the guest cart into the account cart after login
+  const mergeGuestCart = async (account) => {
+    const accountCart = account?.cart || {};
+    cartSync.reset(accountCart, account?.cartRevision ?? null);
+
+    const guestCart = loadGuestCart();
+    if (Object.keys(guestCart).length === 0) {
+      setCartItems(accountCart);
+      return;
+    }
+
+    // Drop products and variants deleted since they were added; if they
+    // cannot be checked right now, keep everything rather than lose items
+    const cartKeys = [...new Set([...Object.keys(guestCart), ...Object.keys(accountCart)])];
+    const existing = await ensureProducts([
+      ...new Set(cartKeys.map((key) => parseCartKey(key).productId)),
+    ]);
+
+    let validCartKeys = null;
+    if (existing) {
+      const productsById = new Map(existing.map((product) => [product._id, product]));
+      validCartKeys = new Set(
+        cartKeys.filter((key) => {
+          const { productId, variantId } = parseCartKey(key);
+          return resolveCartItem(productsById.get(productId), variantId);
+        })
+      );
+    }
+    const mergedCart = mergeCarts(guestCart, accountCart, validCartKeys);
+
+    setCartItems(mergedCart);
+    clearGuestCart();
+    console.log("🛒 Merged guest cart into account cart");
+
+    cartSync.schedule(mergedCart);
+    await cartSync.flush();
+  };
+
   // Fetch user data from backend
   const fetchUser = async () => {
     if (!backendConnected) {
@@ -134,7 +311,7 @@ export const AppContextProvider = ({ children }) => {
       
       if (data.success && data.user) {
         setUser(data.user);
-        setCartItems(data.user.cart || {});
+        await mergeGuestCart(data.user);
         console.log("✅ User authenticated:", data.user.email);
       }
     } catch (error) {
@@ -215,7 +392,7 @@ export const AppContextProvider = ({ children }) => {
       
       if (data.success) {
         setUser(data.user);
-        setCartItems(data.user.cart || {});
+        await mergeGuestCart(data.user);
         toast.success("Google login successful!");
         return true;
       } else {
@@ -241,6 +418,7 @@ export const AppContextProvider = ({ children }) => {
       
       if (data.success) {
         setUser(data.user);
+        await mergeGuestCart(data.user);
         toast.success("Registration successful!");
         return { success: true };
       } else {
@@ -275,7 +453,7 @@ export const AppContextProvider = ({ children }) => {
       
       if (data.success) {
         setUser(data.user);
-        setCartItems(data.user.cart || {});
+        await mergeGuestCart(data.user);
         setShowUserLogin(false);
         toast.success("Login successful!");
         return { success: true };
@@ -299,6 +477,7 @@ export const AppContextProvider = ({ children }) => {
   // User logout
   const userLogout = async () => {
     if (backendConnected) {
+      await cartSync.flush();
       try {
         await axios.post("/api/user/logout");
       } catch (error) {
@@ -306,21 +485,31 @@ export const AppContextProvider = ({ children }) => {
       }
     }
     
+    cartSync.reset();
     setUser(null);
     setCartItems({});
     setIsSeller(false);
     toast.success("Logged out successfully");
   };
 
-  // Add to cart with backend sync
-  const addToCart = async (itemId) => {
-    if (!user) {
-      setShowUserLogin(true);
-      toast.error("Please login to add items to cart");
-      return;
-    }
-
+  // Add to cart with backend sync (guest carts stay in the browser).
+  // Variants are stored under their own cart key. Resolves to false when
+  // nothing was added.
+  const addToCart = async (productId, variantId = null) => {
+    const itemId = getCartKey(productId, variantId);
     let cartData = { ...cartItems };
+    // One copy of a pattern is all anyone needs
+    if (variantId === PATTERN_ITEM_ID && cartData[itemId]) {
+      toast("Pattern is already in your cart", { icon: "📄" });
+      return false;
+    }
+    // The server reserves stock at checkout; this just stops obvious overselling
+    const item = resolveCartItem(productCache[productId], variantId);
+    const available = item ? getItemStock(item) : null;
+    if (available !== null && (cartData[itemId] || 0) >= available) {
+      toast.error(available === 0 ? "This item is out of stock" : `Only ${available} left in stock`);
+      return false;
+    }
     if (cartData[itemId]) {
       cartData[itemId] += 1;
     } else {
@@ -329,16 +518,8 @@ export const AppContextProvider = ({ children }) => {
     
     setCartItems(cartData);
     toast.success("Added to cart");
-
-    // Sync with backend if connected
-    if (backendConnected) {
-      try {
-        await axios.post("/api/cart/update", { cartItems: cartData });
-      } catch (error) {
-        console.error("Failed to update cart in backend:", error);
-        toast.error("Cart updated locally but failed to sync with server");
-      }
-    }
+    syncCart(cartData);
+    return true;
   };
 
   // Update cart item quantity with backend sync
@@ -346,15 +527,7 @@ export const AppContextProvider = ({ children }) => {
     let cartData = { ...cartItems };
     cartData[itemId] = quantity;
     setCartItems(cartData);
-    
-    // Sync with backend if connected
-    if (backendConnected && user) {
-      try {
-        await axios.post("/api/cart/update", { cartItems: cartData });
-      } catch (error) {
-        console.error("Failed to update cart in backend:", error);
-      }
-    }
+    syncCart(cartData);
   };
 
   // Remove from cart with backend sync
@@ -367,15 +540,94 @@ export const AppContextProvider = ({ children }) => {
       }
       setCartItems(cartData);
       toast.success("Removed from cart");
-      
-      // Sync with backend if connected
-      if (backendConnected && user) {
-        try {
-          await axios.post("/api/cart/update", { cartItems: cartData });
-        } catch (error) {
-          console.error("Failed to update cart in backend:", error);
-        }
+      syncCart(cartData);
+    }
+  };
+
+  const fetchWishlist = async () => {
+    try {
+      const { data } = await axios.get("/api/wishlist");
+      if (data.success) {
+        setWishlist(data.wishlist || []);
+      }
+    } catch (error) {
+      console.error("❌ Failed to fetch wishlist:", error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchWishlist();
+    } else {
+      setWishlist([]);
+    }
+  }, [user?._id]);
+
+  // Add or remove a wishlist entry; the server also uses the list to send
+  // back-in-stock alerts, so it needs an account
+  const toggleWishlist = async (productId, variantId = null) => {
+    if (!user) {
+      toast.error("Log in to save items to your wishlist");
+      setShowUserLogin(true);
+      return;
+    }
+
+    const key = getCartKey(productId, variantId);
+    const saved = wishlist.includes(key);
+    const previous = wishlist;
+    setWishlist(saved ? wishlist.filter((item) => item !== key) : [...wishlist, key]);
+
+    try {
+      const { data } = saved
+        ? await axios.delete(`/api/wishlist/${encodeURIComponent(key)}`)
+        : await axios.post("/api/wishlist", { key });
+      if (!data.success) throw new Error(data.message);
+      setWishlist(data.wishlist);
+      toast.success(saved ? "Removed from wishlist" : "Saved to wishlist");
+    } catch (error) {
+      console.error("Wishlist error:", error);
+      setWishlist(previous);
+      toast.error("Failed to update wishlist");
+    }
+  };
+
+  // Move a whole cart line to the wishlist
+  const saveForLater = async (itemId) => {
+    if (!user) {
+      toast.error("Log in to save items for later");
+      setShowUserLogin(true);
+      return;
+    }
+
+    try {
+      if (!wishlist.includes(itemId)) {
+        const { data } = await axios.post("/api/wishlist", { key: itemId });
+        if (!data.success) throw new Error(data.message);
+        setWishlist(data.wishlist);
       }
+      const cartData = { ...cartItems };
+      delete cartData[itemId];
+      setCartItems(cartData);
+      syncCart(cartData);
+      toast.success("Saved for later");
+    } catch (error) {
+      console.error("Save for later error:", error);
+      toast.error("Failed to save item for later");
+    }
+  };
+
+  // Move a wishlist entry back into the cart as the same line. It stays on
+  // the wishlist when the cart refuses it, e.g. while it is out of stock.
+  const moveToCart = async (key) => {
+    const { productId, variantId } = parseCartKey(key);
+    if (!(await addToCart(productId, variantId))) return;
+    try {
+      const { data } = await axios.delete(`/api/wishlist/${encodeURIComponent(key)}`);
+      if (!data.success) throw new Error(data.message);
+      setWishlist(data.wishlist);
+    } catch (error) {
+      console.error("Move to cart error:", error);
+      toast.error("Added to cart, but failed to remove it from your wishlist");
     }
   };
 
@@ -392,7 +644,8 @@ export const AppContextProvider = ({ children }) => {
   const totalCartAmount = () => {
     let totalAmount = 0;
     for (const itemId in cartItems) {
-      const itemInfo = products.find((product) => product._id === itemId);
+      const { productId, variantId } = parseCartKey(itemId);
+      const itemInfo = resolveCartItem(productCache[productId], variantId);
       if (itemInfo && cartItems[itemId] > 0) {
         totalAmount += cartItems[itemId] * (itemInfo.offerPrice || itemInfo.price);
       }
@@ -411,6 +664,42 @@ export const AppContextProvider = ({ children }) => {
     return connected;
   };
 
+  // A line stops resolving when its product gains variants or loses the
+  // chosen one. Drop such lines here, once, so the cart page, the quote and
+  // the order are always built from the same lines.
+  useEffect(() => {
+    const staleKeys = Object.keys(cartItems).filter((key) => {
+      const { productId, variantId } = parseCartKey(key);
+      return productCache[productId] && !resolveCartItem(productCache[productId], variantId);
+    });
+    if (staleKeys.length === 0) return;
+
+    const cartData = { ...cartItems };
+    staleKeys.forEach((key) => delete cartData[key]);
+    setCartItems(cartData);
+    syncCart(cartData);
+    toast("Some items changed since you added them - please choose their options again", { id: "stale-cart-lines", icon: "🧶" });
+  }, [productCache, cartItems]);
+
+  // Persist the cart in the browser while logged out
+  useEffect(() => {
+    if (!user) {
+      saveGuestCart(cartItems);
+    }
+  }, [user, cartItems]);
+
+  // Push queued cart changes before the tab is hidden or closed
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        cartSync.flushOnHide();
+      }
+    };
+
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => document.removeEventListener("visibilitychange", handleVisibilityChange);
+  }, [cartSync]);
+
   // Initialize app
   useEffect(() => {
     const initializeApp = async () => {
@@ -420,7 +709,8 @@ export const AppContextProvider = ({ children }) => {
         await Promise.all([
           fetchProducts(),
           fetchUser(),
-          fetchSeller()
+          fetchSeller(),
+          fetchCurrencySettings()
         ]);
       } else {
         setLoading(false);
@@ -442,12 +732,17 @@ export const AppContextProvider = ({ children }) => {
     showUserLogin,
     setShowUserLogin,
     products,
+    productCache,
     cartItems,
     searchQuery,
     setSearchQuery,
     backendConnected,
     backendChecking,
     loading,
+    currency,
+    setCurrency,
+    exchangeRates,
+    formatPrice,
     
     // Auth functions
     googleLogin,
@@ -456,6 +751,8 @@ export const AppContextProvider = ({ children }) => {
     userRegister,
     userLogout,
     fetchSeller,
+    mergeGuestCart,
+    syncCart,
     
     // Cart functions
     addToCart,
@@ -463,9 +760,20 @@ export const AppContextProvider = ({ children }) => {
     removeFromCart,
     cartCount,
     totalCartAmount,
+
+    // Wishlist functions
+    wishlist,
+    toggleWishlist,
+    saveForLater,
+    moveToCart,
     
     // Data functions
     fetchProducts,
+    fetchProductPage,
+    fetchProduct,
+    getProduct,
+    ensureProducts,
+    cacheProducts,
     setCartItems,
     
     // Backend functions
@@ -9,7 +9,7 @@ const Auth = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [loading, setLoading] = useState(false);
-  const { setShowUserLogin, setUser, axios, navigate, backendConnected, googleLogin } = useAppContext();
+  const { setShowUserLogin, setUser, axios, navigate, backendConnected, googleLogin, mergeGuestCart } = useAppContext();
 
   const handleSubmit = async (e) => {
     try {
@@ -31,6 +31,7 @@ const Auth = () => {
         toast.success(data.message);
         navigate("/");
         setUser(data.user);
+        await mergeGuestCart(data.user);
         setShowUserLogin(false);
       } else {
         toast.error(data.message);
@@ -58,6 +59,7 @@ const Auth = () => {
       if (data.success) {
         toast.success("Google login successful!");
         setUser(data.user);
+        await mergeGuestCart(data.user);
         setShowUserLogin(false);
         navigate("/");
       } else {
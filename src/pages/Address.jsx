@@ -3,6 +3,7 @@ import React, { useContext, useEffect } from "react";
 import { assets } from "../assets/assets";
 import { AppContext } from "../context/AppContext";
 import toast from "react-hot-toast";
+import { INDIAN_STATES } from "../utils/gst";
 
 const Address = () => {
   const [address, setAddress] = React.useState({
@@ -153,14 +154,19 @@ const Address = () => {
           {/* State */}
           <div>
             <label className="block text-gray-600">State *</label>
-            <input
-              type="text"
+            {/* Picked from the list so GST can tell which state the order ships to */}
+            <select
               name="state"
               value={address.state}
               onChange={handleChange}
               className="w-full p-2 border rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
               required
-            />
+            >
+              <option value="">Select state</option>
+              {INDIAN_STATES.map((state) => (
+                <option key={state.code} value={state.name}>{state.name}</option>
+              ))}
+            </select>
           </div>
 
           {/* Pincode */}
@@ -1,12 +1,20 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { useAppContext } from "../context/AppContext";
 import { dummyAddress } from "../assets/assets";
 import axios from "axios";
 import toast from "react-hot-toast";
+import { calculateShipping } from "../utils/shipping";
+import { parseCartKey, resolveCartItem } from "../utils/variants";
+import { isPatternItem } from "../utils/patterns";
+import { SCARCITY_THRESHOLD, getItemStock } from "../utils/stock";
+import TaxBreakdown from "../components/TaxBreakdown";
+
+// Wait for the shopper to stop changing the cart before asking for a new quote
+const QUOTE_DELAY = 400;
 
 // Enhanced Payment Component with COD Advance
-const PaymentModal = ({ amount, onSuccess, onClose, isCODAdvance = false, totalAmount = 0 }) => {
-  const { axios: axiosInstance, user } = useAppContext();
+const PaymentModal = ({ amount, onCreateOrder, onSuccess, onClose, isCODAdvance = false, advancePercent, totalAmount = 0 }) => {
+  const { axios: axiosInstance, user, formatPrice } = useAppContext();
   const [loading, setLoading] = useState(false);
 
   const loadRazorpayScript = () => {
@@ -42,34 +50,32 @@ const handlePayment = async () => {
       return;
     }
 
-    // Create order with amount in rupees
-    const { data } = await axiosInstance.post("/api/payment/create-order", {
-      amount: amount, // This should be in rupees
-      currency: "INR",
-    });
-
-    if (!data.success) {
-      console.error("Order creation failed:", data);
-      toast.error(data.message || "Failed to create payment order");
+    // Creates our order (pending_payment) and its Razorpay order in one call
+    const data = await onCreateOrder();
+    if (!data) {
       return;
     }
 
-    console.log("✅ Order created:", data);
+    console.log("✅ Pending order ready:", data);
 
     const options = {
-      key: "rzp_test_ROG7kfTcj6YdM3", // FIXED: Use key directly instead of process.env
+      key: data.keyId || "rzp_test_ROG7kfTcj6YdM3",
       amount: data.amountInPaise, // Use the paise amount from server
       currency: data.currency || "INR",
       name: "Velvoria - Fiber ART",
       description: isCODAdvance 
-        ? `17% Advance for COD Order - ₹${amount} of ₹${totalAmount}`
-        : `Full Payment - ₹${amount}`,
-      order_id: data.orderId,
+        ? `${advancePercent}% Advance for COD Order - ${formatPrice(amount)} of ${formatPrice(totalAmount)}`
+        : `Full Payment - ${formatPrice(amount)}`,
+      order_id: data.razorpayOrderId,
+      notes: {
+        orderId: data.orderId,
+      },
       handler: async function (response) {
         try {
           console.log("Payment response received:", response);
           
           const verifyResponse = await axiosInstance.post("/api/payment/verify", {
+            orderId: data.orderId,
             razorpay_order_id: response.razorpay_order_id,
             razorpay_payment_id: response.razorpay_payment_id,
             razorpay_signature: response.razorpay_signature,
@@ -78,16 +84,17 @@ const handlePayment = async () => {
           console.log("Verification response:", verifyResponse.data);
 
           if (verifyResponse.data.success) {
-            toast.success(isCODAdvance ? "17% Advance payment successful!" : "Payment successful!");
+            toast.success(isCODAdvance ? `${advancePercent}% Advance payment successful!` : "Payment successful!");
             if (onSuccess) {
-              onSuccess(response.razorpay_payment_id, isCODAdvance);
+              onSuccess(data.orderId, isCODAdvance);
             }
           } else {
             toast.error("Payment verification failed: " + (verifyResponse.data.message || "Unknown error"));
           }
         } catch (error) {
+          // The Razorpay webhook still reconciles the order if this call fails
           console.error("Payment verification error:", error);
-          toast.error("Payment verification failed. Please contact support.");
+          toast.error("We received your payment and will confirm your order shortly.");
         }
       },
       prefill: {
@@ -101,7 +108,7 @@ const handlePayment = async () => {
       modal: {
         ondismiss: function() {
           onClose();
-          toast.error("Payment cancelled");
+          toast.error("Payment cancelled - your order will expire if left unpaid");
         },
       },
     };
@@ -126,21 +133,21 @@ const handlePayment = async () => {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white p-6 rounded-lg max-w-md w-full mx-4">
         <h2 className="text-xl font-bold mb-4">
-          {isCODAdvance ? "Pay 17% Advance" : "Complete Payment"}
+          {isCODAdvance ? `Pay ${advancePercent}% Advance` : "Complete Payment"}
         </h2>
         <div className="space-y-4">
           {isCODAdvance && (
             <div className="bg-blue-50 border border-blue-200 rounded-md p-3">
-              <p className="text-sm text-blue-800 font-medium">COD with 17% Advance</p>
+              <p className="text-sm text-blue-800 font-medium">COD with {advancePercent}% Advance</p>
               <p className="text-xs text-blue-700 mt-1">
-                Pay ₹{amount} now, remaining ₹{totalAmount - amount} on delivery
+                Pay {formatPrice(amount)} now, remaining {formatPrice(totalAmount - amount)} on delivery
               </p>
             </div>
           )}
           
           <div className="flex justify-between items-center">
             <span className="text-gray-600">Amount to Pay:</span>
-            <span className="text-xl font-bold">₹{amount}</span>
+            <span className="text-xl font-bold">{formatPrice(amount)}</span>
           </div>
           
           <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
@@ -155,7 +162,7 @@ const handlePayment = async () => {
               disabled={loading}
               className="flex-1 bg-green-600 text-white py-2 px-4 rounded-md hover:bg-green-700 disabled:opacity-50 transition duration-300"
             >
-              {loading ? "Processing..." : `Pay ₹${amount}`}
+              {loading ? "Processing..." : `Pay ${formatPrice(amount)}`}
             </button>
             <button
               onClick={onClose}
@@ -501,16 +508,21 @@ const LocationModal = ({ isOpen, onClose, onLocationSelect, currentLocation }) =
 
 const Cart = () => {
   const {
-    products,
+    productCache,
+    ensureProducts,
+    fetchProduct,
     navigate,
     cartCount,
-    totalCartAmount,
     cartItems,
     setCartItems,
     removeFromCart,
     updateCartItem,
+    saveForLater,
     axios,
     user,
+    setShowUserLogin,
+    currency,
+    formatPrice,
   } = useAppContext();
 
   const [cartArray, setCartArray] = useState([]);
@@ -522,13 +534,26 @@ const Cart = () => {
   const [processing, setProcessing] = useState(false);
   const [showLocationModal, setShowLocationModal] = useState(false);
   const [currentLocation, setCurrentLocation] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const quoteRequest = useRef(0);
+  // The pending_payment order opened for this checkout, and what it was for
+  const pendingOrder = useRef(null);
+  const [couponInput, setCouponInput] = useState("");
+  const [couponCode, setCouponCode] = useState("");
+  const [codEligibility, setCodEligibility] = useState(null);
+  const [shippingSettings, setShippingSettings] = useState(null);
+
+  // Changes only when a line or its quantity does, not on every cache update
+  const cartLinesKey = cartArray.map((item) => `${item.cartKey}:${item.quantity}`).join(",");
 
   const getCart = () => {
     let tempArray = [];
     for (const key in cartItems) {
       if (cartItems[key] <= 0) continue;
       
-      const product = products.find((product) => product._id === key);
+      const { productId, variantId } = parseCartKey(key);
+      const product = resolveCartItem(productCache[productId], variantId);
       if (product) {
         if (!product._id || !product.offerPrice) {
           console.warn('Invalid product data:', product);
@@ -568,11 +593,18 @@ const Cart = () => {
     }
   }, [user, cartItems]);
 
+  // Only the products in the cart are needed, not the whole catalog
   useEffect(() => {
-    if (products.length > 0 && cartItems) {
+    if (cartItems) {
+      ensureProducts([...new Set(Object.keys(cartItems).map((key) => parseCartKey(key).productId))]);
+    }
+  }, [cartItems]);
+
+  useEffect(() => {
+    if (cartItems) {
       getCart();
     }
-  }, [products, cartItems]);
+  }, [productCache, cartItems]);
 
   // Detect current location
   const detectCurrentLocation = () => {
@@ -613,106 +645,264 @@ const Cart = () => {
     setShowLocationModal(false);
   };
 
-  // Calculate 17% advance for COD
-  const calculateCODAmount = () => {
-    const total = totalCartAmount();
-    return Math.floor(total * 0.17);
+  // Ask the server to price the cart; totals shown here come from the quote.
+  // Only the latest request may set it: an older response that arrives late
+  // is dropped, since the checkout total is built from this quote.
+  const fetchQuote = async () => {
+    const requestId = ++quoteRequest.current;
+    // The lines shown above, so the quote never prices one the page hides
+    const items = cartArray.map((item) => ({
+      product: item._id,
+      variant: parseCartKey(item.cartKey).variantId,
+      quantity: item.quantity,
+    }));
+
+    // Quotes are priced for an account and its addresses
+    if (!user || items.length === 0) {
+      setQuote(null);
+      setQuoteLoading(false);
+      return null;
+    }
+
+    try {
+      setQuoteLoading(true);
+      const { data } = await axios.post("/api/checkout/quote", {
+        items,
+        address: selectedAddress?._id || selectedAddress,
+        paymentType: paymentOption,
+        couponCode: couponCode || undefined,
+        currency,
+      });
+      if (requestId !== quoteRequest.current) return null;
+
+      if (data.success) {
+        // An invalid code still returns a quote, just without the discount
+        if (couponCode && data.quote.couponError) {
+          toast.error(data.quote.couponError, { id: "coupon" });
+          setCouponCode("");
+        }
+        setQuote(data.quote);
+        return data.quote;
+      }
+      setQuote(null);
+      toast.error(data.message || "Failed to price your cart");
+    } catch (error) {
+      if (requestId !== quoteRequest.current) return null;
+      console.error("Quote error:", error);
+      setQuote(null);
+      toast.error(error.response?.data?.message || "Failed to price your cart");
+    } finally {
+      if (requestId === quoteRequest.current) setQuoteLoading(false);
+    }
+    return null;
+  };
+
+  // Anything still in flight is superseded as soon as the inputs change
+  useEffect(() => {
+    const timer = setTimeout(fetchQuote, QUOTE_DELAY);
+    return () => {
+      clearTimeout(timer);
+      quoteRequest.current++;
+    };
+  }, [user, cartLinesKey, selectedAddress, paymentOption, couponCode, currency]);
+
+  const applyCoupon = () => {
+    const code = couponInput.trim().toUpperCase();
+    if (!code) {
+      toast.error("Enter a promo code");
+      return;
+    }
+    setCouponCode(code);
   };
 
-  const totalAmount = totalCartAmount() + (totalCartAmount() * 2) / 100;
+  const removeCoupon = () => {
+    setCouponCode("");
+    setCouponInput("");
+  };
 
-  const placeOrderCODAdvance = async (paymentId) => {
+  // The seller's COD rules (advance %, max order value, blocked pincodes,
+  // customer trust) are evaluated by the server for this address and total
+  const fetchCodEligibility = async () => {
     try {
-      if (!selectedAddress) {
-        return toast.error("Please select an address");
+      const { data } = await axios.get("/api/checkout/cod-eligibility", {
+        params: {
+          pincode: selectedAddress?.pincode,
+          orderValue: quote?.total,
+        },
+      });
+
+      if (data.success) {
+        setCodEligibility(data);
+        if (!data.eligible) {
+          setPaymentOption("online");
+        }
       }
-      
+    } catch (error) {
+      console.error("COD eligibility error:", error);
+    }
+  };
+
+  useEffect(() => {
+    if (user && quote) {
+      fetchCodEligibility();
+    }
+  }, [user, selectedAddress, quote?.total]);
+
+  const fetchShippingSettings = async () => {
+    try {
+      const { data } = await axios.get("/api/settings/shipping");
+      if (data.success) {
+        setShippingSettings(data.shipping);
+      }
+    } catch (error) {
+      console.error("Shipping settings error:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchShippingSettings();
+  }, []);
+
+  // Patterns are delivered as downloads, so only physical items ship
+  const hasPatterns = cartArray.some(isPatternItem);
+  const physicalItems = cartArray.filter((item) => !isPatternItem(item));
+  const soldOutItems = cartArray.filter((item) => getItemStock(item) === 0);
+
+  // Stock can run down while items sit in the cart; never ask for more than is left
+  useEffect(() => {
+    for (const item of cartArray) {
+      const available = getItemStock(item);
+      if (available > 0 && item.quantity > available) {
+        updateCartItem(item.cartKey, available);
+        toast(`Only ${available} of ${item.name} left - quantity updated`, { id: `stock-${item.cartKey}` });
+      }
+    }
+  }, [cartArray]);
+
+  // Re-read stock for everything in the cart, e.g. after a reservation fails
+  const refreshStock = () =>
+    Promise.allSettled(
+      [...new Set(Object.keys(cartItems).map((key) => parseCartKey(key).productId))].map((id) => fetchProduct(id))
+    );
+
+  // Patterns are released once payment is verified, so they can't be paid on delivery
+  useEffect(() => {
+    if (hasPatterns && paymentOption === "cod_advance") {
+      setPaymentOption("online");
+    }
+  }, [hasPatterns]);
+
+  // Same calculator the server uses when pricing the quote; the quote's
+  // shipping figure stays authoritative, this adds the delivery estimate
+  const shippingEstimate = shippingSettings && physicalItems.length > 0
+    ? calculateShipping({
+        items: physicalItems.map((item) => ({ product: item, quantity: item.quantity })),
+        subtotal: quote?.subtotal ?? physicalItems.reduce((sum, item) => sum + item.offerPrice * item.quantity, 0),
+        address: selectedAddress,
+        settings: shippingSettings,
+      })
+    : null;
+
+  const formatDeliveryDate = (date) =>
+    date.toLocaleDateString("en-IN", { weekday: "short", day: "numeric", month: "short" });
+
+  const codAvailable = !hasPatterns && codEligibility?.eligible !== false;
+  const advancePercent = codEligibility?.advancePercent ?? quote?.advancePercent;
+
+  const formatAmount = (value) => (quote ? formatPrice(value) : "—");
+  const amountDueNow = paymentOption === "cod_advance" ? quote?.advanceAmount : quote?.total;
+
+  // What a pending order was created for; paying again for the same thing
+  // reuses that order
+  const getCheckoutKey = () =>
+    JSON.stringify([
+      Object.entries(cartItems).filter(([, quantity]) => quantity > 0).sort(),
+      selectedAddress?._id || selectedAddress,
+      paymentOption,
+      couponCode,
+      quote?.total,
+    ]);
+
+  // Releases the stock a superseded order holds. If this fails the server's
+  // expiry job releases it once the order goes unpaid.
+  const cancelPendingOrder = async (orderId) => {
+    try {
+      await axios.post(`/api/orders/${orderId}/cancel`);
+    } catch (error) {
+      console.error("Cancel pending order error:", error);
+    }
+  };
+
+  // Create the order in pending_payment state before Razorpay opens, so a
+  // closed tab still leaves an order for the webhook to mark as paid
+  const createPendingOrder = async () => {
+    if (!selectedAddress) {
+      toast.error("Please select an address");
+      return null;
+    }
+
+    // Closing Razorpay and paying again reopens the same order instead of
+    // reserving the stock a second time
+    const checkoutKey = getCheckoutKey();
+    if (pendingOrder.current?.key === checkoutKey) {
+      return pendingOrder.current.data;
+    }
+    if (pendingOrder.current) {
+      cancelPendingOrder(pendingOrder.current.data.orderId);
+      pendingOrder.current = null;
+    }
+
+    const isCODAdvance = paymentOption === "cod_advance";
+
+    try {
       setProcessing(true);
-      
-      const advanceAmount = calculateCODAmount();
-      const remainingAmount = totalCartAmount() - advanceAmount;
 
+      // Items, prices and the advance split are all taken from the quote
       const orderData = {
-        items: cartArray.map((item) => ({
-          product: item._id,
-          quantity: item.quantity,
-          price: item.offerPrice,
-        })),
+        quoteId: quote.quoteId,
         address: selectedAddress._id || selectedAddress, // Handle both saved and new addresses
-        paymentId: paymentId,
-        advancePaid: advanceAmount,
-        remainingAmount: remainingAmount,
-        totalAmount: totalCartAmount(),
       };
 
-      console.log("🔄 Sending COD advance order data:", orderData);
+      console.log("🔄 Creating pending order:", orderData);
 
       const { data } = await axios.post(
-        "/api/orders/cod-advance",
-        orderData,
-        {
-          withCredentials: true,
-        }
+        isCODAdvance ? "/api/orders/cod-advance" : "/api/order/razorpay",
+        orderData
       );
-      
-      if (data.success) {
-        toast.success(`🎉 Order placed! ₹${advanceAmount} paid now, ₹${remainingAmount} on delivery`);
-        setCartItems({});
-        navigate("/my-orders");
-      } else {
-        toast.error(data.message);
+
+      if (!data.success) {
+        toast.error(data.message || "Failed to create order");
+        return null;
       }
+
+      pendingOrder.current = { key: checkoutKey, data };
+      return data;
     } catch (error) {
-      console.error("❌ COD Advance Order Error:", {
+      console.error("❌ Order Creation Error:", {
         message: error.message,
         response: error.response?.data,
         status: error.response?.status
       });
-      
+
+      // Someone else bought the last units between quote and checkout
+      if (error.response?.status === 409) {
+        refreshStock();
+      }
+
       if (error.response?.data?.message) {
         toast.error(`Order Failed: ${error.response.data.message}`);
       } else {
         toast.error("Failed to place order. Please try again.");
       }
+      return null;
     } finally {
       setProcessing(false);
     }
   };
 
-  const placeOrderFullPayment = async (paymentId) => {
-    try {
-      if (!selectedAddress) {
-        return toast.error("Please select an address");
-      }
-      
-      setProcessing(true);
-      const { data } = await axios.post("/api/order/razorpay", {
-        items: cartArray.map((item) => ({
-          product: item._id,
-          quantity: item.quantity,
-          price: item.offerPrice,
-        })),
-        address: selectedAddress._id || selectedAddress,
-        paymentId: paymentId,
-        totalAmount: totalCartAmount(),
-      });
-      
-      if (data.success) {
-        toast.success("🎉 Your velvoria order has been placed!");
-        setCartItems({});
-        navigate("/my-orders");
-      } else {
-        toast.error(data.message);
-      }
-    } catch (error) {
-      toast.error(error.message);
-    } finally {
-      setProcessing(false);
-    }
-  };
-
-  const handleCheckout = () => {
+  const handleCheckout = async () => {
     if (!user) {
+      setShowUserLogin(true);
       toast.error("Please login to place order");
       return;
     }
@@ -733,10 +923,22 @@ const Cart = () => {
       return;
     }
 
+    if (soldOutItems.length > 0) {
+      toast.error("Remove sold-out items to check out");
+      return;
+    }
+
+    // Re-quote so the payment uses fresh, unexpired server pricing
+    const freshQuote = await fetchQuote();
+    if (!freshQuote) {
+      return;
+    }
+
     console.log("Checkout validation passed:", {
       itemCount: cartArray.length,
       address: selectedAddress,
-      paymentMethod: paymentOption
+      paymentMethod: paymentOption,
+      quoteId: freshQuote.quoteId
     });
 
     if (paymentOption === "cod_advance") {
@@ -746,23 +948,21 @@ const Cart = () => {
     }
   };
 
-  const handlePaymentSuccess = async (paymentId, isCODAdvance = false) => {
-    try {
-      if (isCODAdvance) {
-        await placeOrderCODAdvance(paymentId);
-      } else {
-        await placeOrderFullPayment(paymentId);
-      }
-    } catch (error) {
-      console.error("Order creation after payment error:", error);
-      toast.error("Failed to create order after payment");
-    } finally {
-      setProcessing(false);
-      setShowPayment(false);
+  // The order already exists; the cart is only cleared once payment is confirmed
+  const handlePaymentSuccess = (orderId, isCODAdvance = false) => {
+    if (isCODAdvance) {
+      toast.success(`🎉 Order placed! ${formatPrice(quote.advanceAmount)} paid now, ${formatPrice(quote.remainingAmount)} on delivery`);
+    } else {
+      toast.success("🎉 Your velvoria order has been placed!");
     }
+    console.log("✅ Order confirmed:", orderId);
+    pendingOrder.current = null;
+    setCartItems({});
+    setShowPayment(false);
+    navigate("/my-orders");
   };
 
-  return products.length > 0 && cartItems ? (
+  return cartArray.length > 0 && cartItems ? (
     <div className="flex flex-col md:flex-row py-16 max-w-6xl w-full px-6 mx-auto">
       <div className="flex-1 max-w-4xl">
         <h1 className="text-3xl font-medium mb-6 text-gray-800">
@@ -797,38 +997,59 @@ const Cart = () => {
               </div>
               <div>
                 <p className="hidden md:block font-semibold text-gray-800">{product.name}</p>
+                {product.variantLabel && (
+                  <p className="text-sm text-gray-600">{product.variantLabel}</p>
+                )}
                 <div className="font-normal text-gray-500/70">
                   <p className="text-sm">
                     Materials: <span className="text-purple-600">{product.materials?.join(', ') || 'Cotton Yarn'}</span>
                   </p>
-                  <div className="flex items-center mt-1">
-                    <p className="text-sm">Qty:</p>
-                    <select
-                      onChange={(e) =>
-                        updateCartItem(product._id, Number(e.target.value))
-                      }
-                      value={cartItems[product._id]}
-                      className="outline-none border border-gray-300 rounded px-2 py-1 ml-2"
-                    >
-                      {Array(
-                        cartItems[product._id] > 9 ? cartItems[product._id] : 9
-                      )
-                        .fill("")
-                        .map((_, index) => (
-                          <option key={index} value={index + 1}>
-                            {index + 1}
-                          </option>
-                        ))}
-                    </select>
-                  </div>
+                  {product.isPattern ? (
+                    <p className="text-sm mt-1">📄 Download link in My Orders after payment</p>
+                  ) : getItemStock(product) === 0 ? (
+                    <p className="text-sm text-red-600 mt-1">Sold out - remove it to check out</p>
+                  ) : (
+                    <div className="flex items-center mt-1">
+                      <p className="text-sm">Qty:</p>
+                      <select
+                        onChange={(e) =>
+                          updateCartItem(product.cartKey, Number(e.target.value))
+                        }
+                        value={cartItems[product.cartKey]}
+                        className="outline-none border border-gray-300 rounded px-2 py-1 ml-2"
+                      >
+                        {Array(
+                          Math.min(
+                            cartItems[product.cartKey] > 9 ? cartItems[product.cartKey] : 9,
+                            getItemStock(product) ?? Infinity
+                          )
+                        )
+                          .fill("")
+                          .map((_, index) => (
+                            <option key={index} value={index + 1}>
+                              {index + 1}
+                            </option>
+                          ))}
+                      </select>
+                      {getItemStock(product) !== null && getItemStock(product) <= SCARCITY_THRESHOLD && (
+                        <span className="text-xs text-orange-600 ml-2">Only {getItemStock(product)} left</span>
+                      )}
+                    </div>
+                  )}
+                  <button
+                    onClick={() => saveForLater(product.cartKey)}
+                    className="text-sm text-purple-600 hover:text-purple-700 mt-1"
+                  >
+                    ♡ Save for later
+                  </button>
                 </div>
               </div>
             </div>
             <p className="text-center font-semibold text-gray-800">
-              ₹{(product.offerPrice * product.quantity).toFixed(2)}
+              {formatPrice(product.offerPrice * product.quantity)}
             </p>
             <button
-              onClick={() => removeFromCart(product._id)}
+              onClick={() => removeFromCart(product.cartKey)}
               className="cursor-pointer mx-auto p-2 hover:bg-red-50 rounded-full transition duration-300"
             >
               <svg
@@ -939,21 +1160,38 @@ const Cart = () => {
           <p className="text-sm font-medium uppercase mt-6 text-gray-700">Payment Method</p>
 
           <div className="space-y-3 mt-2">
-            {/* COD with 17% Advance Option */}
-            <label className="flex items-center gap-3 p-3 border border-purple-300 rounded-lg cursor-pointer hover:bg-purple-50 transition duration-300">
+            {/* COD with Advance Option */}
+            <label className={`flex items-center gap-3 p-3 border rounded-lg transition duration-300 ${
+              codAvailable
+                ? "border-purple-300 cursor-pointer hover:bg-purple-50"
+                : "border-gray-200 bg-gray-50 opacity-60 cursor-not-allowed"
+            }`}>
               <input
                 type="radio"
                 name="payment"
                 value="cod_advance"
                 checked={paymentOption === "cod_advance"}
                 onChange={() => setPaymentOption("cod_advance")}
+                disabled={!codAvailable}
                 className="text-purple-600 focus:ring-purple-500"
               />
               <div className="flex-1">
-                <p className="font-medium text-gray-800">Cash on Delivery (17% Advance)</p>
-                <p className="text-sm text-gray-600">
-                  Pay ₹{calculateCODAmount()} now, remaining ₹{totalCartAmount() - calculateCODAmount()} on delivery
+                <p className="font-medium text-gray-800">
+                  Cash on Delivery{advancePercent != null ? ` (${advancePercent}% Advance)` : ""}
                 </p>
+                {!codAvailable ? (
+                  <p className="text-sm text-gray-600">
+                    {hasPatterns
+                      ? "Digital patterns must be paid online"
+                      : codEligibility?.reason || "Not available for this order"}
+                  </p>
+                ) : paymentOption === "cod_advance" && quote ? (
+                  <p className="text-sm text-gray-600">
+                    Pay {formatPrice(quote.advanceAmount)} now, remaining {formatPrice(quote.remainingAmount)} on delivery
+                  </p>
+                ) : (
+                  <p className="text-sm text-gray-600">Pay a small advance now, the rest on delivery</p>
+                )}
               </div>
             </label>
 
@@ -985,28 +1223,91 @@ const Cart = () => {
 
         <hr className="border-purple-200" />
 
+        <div className="mt-4">
+          <p className="text-sm font-medium uppercase text-gray-700">Promo Code</p>
+          {quote?.coupon ? (
+            <div className="flex items-center justify-between mt-2 p-2 bg-green-50 border border-green-200 rounded-lg">
+              <div>
+                <p className="font-mono font-semibold text-green-700">{quote.coupon.code}</p>
+                {quote.coupon.description && (
+                  <p className="text-xs text-green-600">{quote.coupon.description}</p>
+                )}
+              </div>
+              <button
+                onClick={removeCoupon}
+                className="text-sm text-red-500 hover:text-red-600 transition duration-300"
+              >
+                Remove
+              </button>
+            </div>
+          ) : (
+            <div className="flex gap-2 mt-2">
+              <input
+                type="text"
+                value={couponInput}
+                onChange={(e) => setCouponInput(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && applyCoupon()}
+                placeholder="Enter code"
+                className="flex-1 min-w-0 border border-purple-300 rounded-lg px-3 py-2 text-sm uppercase focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+              <button
+                onClick={applyCoupon}
+                disabled={quoteLoading}
+                className="px-4 py-2 bg-purple-100 text-purple-600 rounded-lg text-sm font-medium hover:bg-purple-200 disabled:opacity-50 transition duration-300"
+              >
+                Apply
+              </button>
+            </div>
+          )}
+        </div>
+
         <div className="text-gray-600 mt-4 space-y-2">
           <p className="flex justify-between">
             <span>Items Total</span>
-            <span>₹{totalCartAmount().toFixed(2)}</span>
+            <span>{formatAmount(quote?.subtotal)}</span>
           </p>
+          {quote?.discount > 0 && (
+            <p className="flex justify-between text-green-600">
+              <span>Discount{quote.coupon ? ` (${quote.coupon.code})` : ""}</span>
+              <span>-{formatAmount(quote.discount)}</span>
+            </p>
+          )}
           <p className="flex justify-between">
             <span>Shipping Fee</span>
-            <span className="text-green-600 font-medium">Free</span>
-          </p>
-          <p className="flex justify-between">
-            <span>Tax (2%)</span>
-            <span>₹{((totalCartAmount() * 2) / 100).toFixed(2)}</span>
+            {quote && quote.shipping === 0 ? (
+              <span className="text-green-600 font-medium">Free</span>
+            ) : (
+              <span>{formatAmount(quote?.shipping)}</span>
+            )}
           </p>
-          {paymentOption === "cod_advance" && (
+          {shippingEstimate?.amountToFreeShipping > 0 && (
+            <p className="text-xs text-purple-600">
+              Add {formatPrice(shippingEstimate.amountToFreeShipping)} more for free shipping
+            </p>
+          )}
+          {shippingEstimate && selectedAddress && (
+            <p className="flex justify-between text-sm">
+              <span>Estimated Delivery</span>
+              <span className="text-gray-800">
+                {formatDeliveryDate(shippingEstimate.estimatedDelivery.from)} - {formatDeliveryDate(shippingEstimate.estimatedDelivery.to)}
+              </span>
+            </p>
+          )}
+          <TaxBreakdown
+            taxLines={quote?.taxLines}
+            tax={quote?.tax}
+            pricesIncludeTax={quote?.pricesIncludeTax}
+            format={formatAmount}
+          />
+          {paymentOption === "cod_advance" && quote && (
             <>
               <p className="flex justify-between text-green-600">
-                <span>17% Advance Payment</span>
-                <span>₹{calculateCODAmount()}</span>
+                <span>Advance Payment</span>
+                <span>{formatAmount(quote.advanceAmount)}</span>
               </p>
               <p className="flex justify-between text-orange-600">
                 <span>Remaining on Delivery</span>
-                <span>₹{totalCartAmount() - calculateCODAmount()}</span>
+                <span>{formatAmount(quote.remainingAmount)}</span>
               </p>
             </>
           )}
@@ -1015,22 +1316,22 @@ const Cart = () => {
               {paymentOption === "cod_advance" ? "Total Amount:" : "Amount to Pay:"}
             </span>
             <span className="text-purple-600 font-bold">
-              {paymentOption === "cod_advance" ? `₹${totalCartAmount()}` : `₹${totalAmount.toFixed(2)}`}
+              {quoteLoading ? "Calculating..." : formatAmount(quote?.total)}
             </span>
           </p>
         </div>
 
         <button
           onClick={handleCheckout}
-          disabled={processing}
+          disabled={processing || quoteLoading || (user && !quote) || soldOutItems.length > 0}
           className={`w-full py-3 mt-6 cursor-pointer bg-purple-500 text-white font-medium hover:bg-purple-600 transition duration-300 rounded-lg ${
-            processing ? "opacity-50 cursor-not-allowed" : ""
+            processing || quoteLoading || (user && !quote) || soldOutItems.length > 0 ? "opacity-50 cursor-not-allowed" : ""
           }`}
         >
-          {processing ? "Processing..." : (
+          {processing ? "Processing..." : !user ? "Log in to Check Out" : (
             paymentOption === "cod_advance" 
-              ? `Pay ₹${calculateCODAmount()} Advance` 
-              : `Pay ₹${totalAmount.toFixed(2)}`
+              ? `Pay ${formatAmount(amountDueNow)} Advance` 
+              : `Pay ${formatAmount(amountDueNow)}`
           )}
         </button>
         
@@ -1042,11 +1343,13 @@ const Cart = () => {
       {/* Payment Modal */}
       {showPayment && (
         <PaymentModal
-          amount={paymentOption === "cod_advance" ? calculateCODAmount() : totalAmount}
+          amount={amountDueNow}
+          onCreateOrder={createPendingOrder}
           onSuccess={handlePaymentSuccess}
           onClose={() => setShowPayment(false)}
           isCODAdvance={paymentOption === "cod_advance"}
-          totalAmount={totalCartAmount()}
+          advancePercent={advancePercent}
+          totalAmount={quote?.total}
         />
       )}
 
@@ -1,7 +1,9 @@
 // EnhanchedOrders.jsx - Updated for crochet orders
 import { useState, useEffect } from "react";
-import { useAppContext } from "../../context/AppContext";
+import { useAppContext } from "../context/AppContext";
 import { toast } from "react-hot-toast";
+import { ORDER_STATUSES, getNextStatuses, normalizeStatus } from "../utils/orderLifecycle";
+import { getStatusColor, getStatusLabel } from "../components/OrderStatus";
 
 const EnhancedOrders = () => {
   const { axios } = useAppContext();
@@ -12,14 +14,9 @@ const EnhancedOrders = () => {
   const [statusFilter, setStatusFilter] = useState("all");
   const [selectedOrder, setSelectedOrder] = useState(null);
 
-  // Filters
-  const statusOptions = [
-    "all", "pending", "confirmed", "shipped", "delivered", "cancelled"
-  ];
-
   const fetchOrders = async () => {
     try {
-      const { data } = await axios.get("/api/order/seller");
+      const { data } = await axios.get("/api/orders/seller");
       if (data.success) {
         setOrders(data.orders);
         setFilteredOrders(data.orders);
@@ -46,38 +43,32 @@ const EnhancedOrders = () => {
     // Status filter
     if (statusFilter !== "all") {
       filtered = filtered.filter(order => 
-        order.status.toLowerCase() === statusFilter.toLowerCase()
+        normalizeStatus(order.status) === statusFilter
       );
     }
 
     setFilteredOrders(filtered);
   };
 
+  // Orders are never deleted; cancelling keeps the audit trail
   const updateOrderStatus = async (orderId, newStatus) => {
+    if (newStatus === "Cancelled" && !window.confirm("Cancel this velvoria order? Stock is released and any online payment is refunded.")) {
+      return;
+    }
+
     try {
-      const { data } = await axios.put(`/api/order/${orderId}/status`, {
+      const { data } = await axios.put(`/api/orders/${orderId}/status`, {
         status: newStatus
       });
       if (data.success) {
         toast.success(`Velvoria order status updated to ${newStatus}`);
-        fetchOrders();
+        setOrders(prev => prev.map(order => order._id === orderId ? data.order : order));
+        setSelectedOrder(prev => prev?._id === orderId ? data.order : prev);
+      } else {
+        toast.error(data.message || "Failed to update velvoria order status");
       }
     } catch (error) {
-      toast.error("Failed to update velvoria order status");
-    }
-  };
-
-  const deleteOrder = async (orderId) => {
-    if (window.confirm("Are you sure you want to delete this velvoria order?")) {
-      try {
-        const { data } = await axios.delete(`/api/order/${orderId}`);
-        if (data.success) {
-          toast.success("Velvoria order deleted successfully");
-          fetchOrders();
-        }
-      } catch (error) {
-        toast.error("Failed to delete velvoria order");
-      }
+      toast.error(error.response?.data?.message || "Failed to update velvoria order status");
     }
   };
 
@@ -139,9 +130,10 @@ const EnhancedOrders = () => {
               onChange={(e) => setStatusFilter(e.target.value)}
               className="w-full border border-gray-300 rounded-md px-3 py-2 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
             >
-              {statusOptions.map(option => (
+              <option value="all">All</option>
+              {ORDER_STATUSES.map(option => (
                 <option key={option} value={option}>
-                  {option.charAt(0).toUpperCase() + option.slice(1)}
+                  {getStatusLabel(option)}
                 </option>
               ))}
             </select>
@@ -198,7 +190,6 @@ const EnhancedOrders = () => {
                   key={order._id}
                   order={order}
                   onUpdateStatus={updateOrderStatus}
-                  onDelete={deleteOrder}
                   onView={() => setSelectedOrder(order)}
                 />
               ))}
@@ -219,8 +210,26 @@ const EnhancedOrders = () => {
   );
 };
 
+// Current status plus the moves the order lifecycle allows from it
+const StatusSelect = ({ order, onUpdateStatus, className }) => {
+  const nextStatuses = getNextStatuses(order);
+  return (
+    <select
+      value=""
+      onChange={(e) => onUpdateStatus(order._id, e.target.value)}
+      disabled={nextStatuses.length === 0}
+      className={className}
+    >
+      <option value="" disabled>{getStatusLabel(order.status)}</option>
+      {nextStatuses.map(status => (
+        <option key={status} value={status}>→ {getStatusLabel(status)}</option>
+      ))}
+    </select>
+  );
+};
+
 // Order Row Component
-const OrderRow = ({ order, onUpdateStatus, onDelete, onView }) => {
+const OrderRow = ({ order, onUpdateStatus, onView }) => {
   return (
     <tr className="hover:bg-purple-50 transition duration-300">
       <td className="px-6 py-4 text-sm font-mono text-gray-900">
@@ -254,22 +263,11 @@ const OrderRow = ({ order, onUpdateStatus, onDelete, onView }) => {
         )}
       </td>
       <td className="px-6 py-4 text-sm">
-        <select
-          value={order.status}
-          onChange={(e) => onUpdateStatus(order._id, e.target.value)}
-          className={`text-xs rounded border px-2 py-1 focus:ring-2 focus:ring-purple-500 ${
-            order.status === 'delivered' ? 'bg-green-100 text-green-800 border-green-200' :
-            order.status === 'pending' ? 'bg-yellow-100 text-yellow-800 border-yellow-200' :
-            order.status === 'cancelled' ? 'bg-red-100 text-red-800 border-red-200' :
-            'bg-blue-100 text-blue-800 border-blue-200'
-          }`}
-        >
-          <option value="pending">Pending</option>
-          <option value="confirmed">Confirmed</option>
-          <option value="shipped">Shipped</option>
-          <option value="delivered">Delivered</option>
-          <option value="cancelled">Cancelled</option>
-        </select>
+        <StatusSelect
+          order={order}
+          onUpdateStatus={onUpdateStatus}
+          className={`text-xs rounded border px-2 py-1 focus:ring-2 focus:ring-purple-500 ${getStatusColor(normalizeStatus(order.status))}`}
+        />
       </td>
       <td className="px-6 py-4 text-sm text-gray-500">
         {new Date(order.createdAt).toLocaleDateString()}
@@ -281,12 +279,6 @@ const OrderRow = ({ order, onUpdateStatus, onDelete, onView }) => {
         >
           View
         </button>
-        <button
-          onClick={() => onDelete(order._id)}
-          className="text-red-600 hover:text-red-800 font-medium transition duration-300"
-        >
-          Delete
-        </button>
       </td>
     </tr>
   );
@@ -356,17 +348,11 @@ const OrderDetailsModal = ({ order, onClose, onUpdateStatus }) => {
               
               <div>
                 <span className="text-gray-700 font-medium block mb-2">Order Status:</span>
-                <select
-                  value={order.status}
-                  onChange={(e) => onUpdateStatus(order._id, e.target.value)}
+                <StatusSelect
+                  order={order}
+                  onUpdateStatus={onUpdateStatus}
                   className="border border-gray-300 rounded px-3 py-2 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                >
-                  <option value="pending">Pending</option>
-                  <option value="confirmed">Confirmed</option>
-                  <option value="shipped">Shipped</option>
-                  <option value="delivered">Delivered</option>
-                  <option value="cancelled">Cancelled</option>
-                </select>
+                />
               </div>
               
               <div>
@@ -1,12 +1,17 @@
 import { useState, useEffect } from "react";
 import { useAppContext } from "../context/AppContext";
 import { toast } from "react-hot-toast";
+import { formatOrderAmount } from "../utils/currency";
+import PatternDownload from "../components/PatternDownload";
+import OrderActions from "../components/OrderActions";
+import { DEFAULT_RETURN_POLICY } from "../utils/returns";
+import OrderStatusBadge, { getStatusColor, getStatusIcon } from "../components/OrderStatus";
 
 const MyOrders = () => {
-  const { axios, user } = useAppContext();
+  const { axios, user, navigate } = useAppContext();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [returnPolicy, setReturnPolicy] = useState(DEFAULT_RETURN_POLICY);
 
   const fetchMyOrders = async () => {
     try {
@@ -29,32 +34,38 @@ const MyOrders = () => {
     }
   };
 
+  // The seller's return window, for the Return Items button
+  const fetchReturnPolicy = async () => {
+    try {
+      const { data } = await axios.get("/api/settings/returns");
+      if (data.success) {
+        setReturnPolicy({ ...DEFAULT_RETURN_POLICY, ...data.returns });
+      }
+    } catch (error) {
+      console.error("Return policy error:", error);
+    }
+  };
+
+  const replaceOrder = (updated) =>
+    setOrders((prev) => prev.map((order) => (order._id === updated._id ? updated : order)));
+
+  // Keep download counts current after a pattern is downloaded
+  const updateItem = (orderId) => (itemId, changes) =>
+    setOrders((prev) =>
+      prev.map((order) =>
+        order._id === orderId
+          ? { ...order, items: order.items.map((item) => (item._id === itemId ? { ...item, ...changes } : item)) }
+          : order
+      )
+    );
+
   useEffect(() => {
     if (user) {
       fetchMyOrders();
+      fetchReturnPolicy();
     }
   }, [user]);
 
-  const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'delivered': return 'bg-green-100 text-green-800';
-      case 'shipped': return 'bg-blue-100 text-blue-800';
-      case 'processing': return 'bg-yellow-100 text-yellow-800';
-      case 'cancelled': return 'bg-red-100 text-red-800';
-      default: return 'bg-gray-100 text-gray-800';
-    }
-  };
-
-  const getStatusIcon = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'delivered': return '✅';
-      case 'shipped': return '🚚';
-      case 'processing': return '🔄';
-      case 'cancelled': return '❌';
-      default: return '📦';
-    }
-  };
-
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -119,12 +130,10 @@ const MyOrders = () => {
                     </div>
                     
                     <div className="flex items-center space-x-4">
-                      <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(order.status)}`}>
-                        {order.status || 'Order Placed'}
-                      </span>
-<p className="text-2xl font-bold text-purple-600">
-  ₹{order.totalAmount?.toFixed(2) || order.amount?.toFixed(2) || '0.00'}
-</p>
+                      <OrderStatusBadge status={order.status} />
+                      <p className="text-2xl font-bold text-purple-600">
+                        {formatOrderAmount(order.totalAmount ?? order.amount, order)}
+                      </p>
                     </div>
                   </div>
                 </div>
@@ -149,12 +158,16 @@ const MyOrders = () => {
                           <h4 className="font-medium text-gray-900">
                             {item.product?.name || item.name || `Item ${index + 1}`}
                           </h4>
+                          {item.variantLabel && (
+                            <p className="text-gray-500 text-sm">{item.variantLabel}</p>
+                          )}
                           <p className="text-gray-600 text-sm">
-                            Qty: {item.quantity} × ${item.price?.toFixed(2) || '0.00'}
+                            Qty: {item.quantity} × {formatOrderAmount(item.price, order)}
                           </p>
-<p className="text-purple-600 font-semibold">
-  ₹{((item.quantity || 1) * (item.price || 0)).toFixed(2)}
-</p>
+                          <p className="text-purple-600 font-semibold">
+                            {formatOrderAmount((item.quantity || 1) * (item.price || 0), order)}
+                          </p>
+                          <PatternDownload order={order} item={item} onDownloaded={updateItem(order._id)} />
                         </div>
                       </div>
                     ))}
@@ -162,21 +175,22 @@ const MyOrders = () => {
 
                   {/* Order Summary */}
                   <div className="mt-6 pt-6 border-t border-gray-200">
-                    <div className="flex justify-between items-center">
+                    <div className="flex flex-col md:flex-row justify-between md:items-center gap-4">
                       <div className="space-y-1">
                         <p className="text-sm text-gray-600">
                           Payment: <span className="font-medium capitalize">{order.paymentType}</span>
                         </p>
                         {order.paymentType === 'COD_Advance' && (
                           <p className="text-sm text-gray-600">
-                            Advance Paid: <span className="font-medium text-green-600">${order.advancePaid?.toFixed(2)}</span>
+                            Advance Paid: <span className="font-medium text-green-600">{formatOrderAmount(order.advancePaid, order)}</span>
                           </p>
                         )}
                       </div>
                       
-                      <div className="text-right">
+                      <div className="flex flex-col md:items-end gap-2">
+                        <OrderActions order={order} returnPolicy={returnPolicy} onUpdated={replaceOrder} />
                         <button
-                          onClick={() => setSelectedOrder(order)}
+                          onClick={() => navigate(`/my-orders/${order._id}`)}
                           className="bg-purple-600 text-white px-6 py-2 rounded-xl font-semibold hover:bg-purple-700 transition-colors"
                         >
                           View Details
@@ -201,7 +215,7 @@ const MyOrders = () => {
               You haven't placed any orders yet. Start shopping to see your orders here!
             </p>
             <button
-              onClick={() => window.location.href = '/products'}
+              onClick={() => navigate('/products')}
               className="bg-purple-600 text-white px-8 py-4 rounded-2xl font-semibold hover:bg-purple-700 transition-colors"
             >
               Start Shopping
@@ -210,121 +224,6 @@ const MyOrders = () => {
         )}
       </div>
 
-      {/* Order Details Modal */}
-      {selectedOrder && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
-            <div className="p-6 border-b border-gray-200">
-              <div className="flex justify-between items-center">
-                <h3 className="text-2xl font-bold text-gray-900">
-                  Order Details
-                </h3>
-                <button
-                  onClick={() => setSelectedOrder(null)}
-                  className="text-gray-400 hover:text-gray-600 text-2xl"
-                >
-                  ×
-                </button>
-              </div>
-            </div>
-
-            <div className="p-6 space-y-6">
-              {/* Order Info */}
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <p className="text-sm text-gray-600">Order ID</p>
-                  <p className="font-medium">{selectedOrder._id}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-600">Order Date</p>
-                  <p className="font-medium">{formatDate(selectedOrder.createdAt)}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-600">Status</p>
-                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(selectedOrder.status)}`}>
-                    {selectedOrder.status}
-                  </span>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-600">Payment Method</p>
-                  <p className="font-medium capitalize">{selectedOrder.paymentType}</p>
-                </div>
-              </div>
-
-              {/* Items List */}
-              <div>
-                <h4 className="font-semibold text-gray-900 mb-4">Order Items</h4>
-                <div className="space-y-3">
-                  {selectedOrder.items?.map((item, index) => (
-                    <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                      <div className="flex items-center space-x-3">
-                        {item.product?.image?.[0] ? (
-                          <img
-                            src={`http://localhost:5000/images/${item.product.image[0]}`}
-                            alt={item.product.name}
-                            className="w-12 h-12 object-cover rounded-lg"
-                          />
-                        ) : (
-                          <div className="w-12 h-12 bg-purple-100 rounded-lg flex items-center justify-center">
-                            <span className="text-lg">🧶</span>
-                          </div>
-                        )}
-                        <div>
-                          <p className="font-medium text-gray-900">
-                            {item.product?.name || item.name}
-                          </p>
-                          <p className="text-gray-600 text-sm">
-                            Quantity: {item.quantity}
-                          </p>
-                        </div>
-                      </div>
-                      <p className="font-semibold text-purple-600">
-                        ${((item.quantity || 1) * (item.price || 0)).toFixed(2)}
-                      </p>
-                    </div>
-                  ))}
-                </div>
-              </div>
-
-              {/* Order Summary */}
-              <div className="border-t border-gray-200 pt-4">
-                <div className="space-y-2">
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Subtotal</span>
-                    <span>${selectedOrder.amount?.toFixed(2)}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Tax</span>
-                    <span>${selectedOrder.taxAmount?.toFixed(2) || '0.00'}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Shipping</span>
-                    <span className="text-green-600">Free</span>
-                  </div>
-                  {selectedOrder.paymentType === 'COD_Advance' && (
-                    <>
-                      <div className="flex justify-between">
-                        <span className="text-gray-600">Advance Paid</span>
-                        <span className="text-green-600">${selectedOrder.advancePaid?.toFixed(2)}</span>
-                      </div>
-                      <div className="flex justify-between">
-                        <span className="text-gray-600">Remaining</span>
-                        <span>${selectedOrder.remainingAmount?.toFixed(2)}</span>
-                      </div>
-                    </>
-                  )}
-                  <div className="flex justify-between text-lg font-bold border-t border-gray-200 pt-2">
-                    <span>Total</span>
-                    <span className="text-purple-600">
-                      ${selectedOrder.totalAmount?.toFixed(2) || selectedOrder.amount?.toFixed(2)}
-                    </span>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
     </div>
   );
 };
@@ -0,0 +1,307 @@
+// OrderDetails.jsx - A customer's order with its status timeline and tracking
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import { useAppContext } from "../context/AppContext";
+import { BASE_CURRENCY, formatOrderAmount } from "../utils/currency";
+import { buildTimeline, getExpectedDelivery, getTrackingUrl } from "../utils/orderTracking";
+import OrderStatusBadge from "../components/OrderStatus";
+import PatternDownload from "../components/PatternDownload";
+import OrderActions from "../components/OrderActions";
+import TaxBreakdown from "../components/TaxBreakdown";
+import { DEFAULT_RETURN_POLICY } from "../utils/returns";
+import { getInvoiceFileName } from "../utils/invoices";
+import { downloadFile } from "../utils/download";
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const formatDay = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-IN", { weekday: "short", day: "numeric", month: "short" });
+
+const OrderDetails = () => {
+  const { axios, user } = useAppContext();
+  const { orderId } = useParams();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [returnPolicy, setReturnPolicy] = useState(DEFAULT_RETURN_POLICY);
+  const [downloadingInvoice, setDownloadingInvoice] = useState(false);
+
+  const fetchOrder = async () => {
+    try {
+      setLoading(true);
+      const { data } = await axios.get(`/api/orders/user/${orderId}`);
+      if (data.success) {
+        setOrder(data.order);
+      } else {
+        toast.error(data.message || "Order not found");
+        setOrder(null);
+      }
+    } catch (error) {
+      console.error("Error fetching order:", error);
+      toast.error(error.response?.data?.message || "Failed to load this order");
+      setOrder(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The seller's return window, for the Return Items button
+  const fetchReturnPolicy = async () => {
+    try {
+      const { data } = await axios.get("/api/settings/returns");
+      if (data.success) {
+        setReturnPolicy({ ...DEFAULT_RETURN_POLICY, ...data.returns });
+      }
+    } catch (error) {
+      console.error("Return policy error:", error);
+    }
+  };
+
+  // Issued once the order is paid; the server renders the PDF
+  const downloadInvoice = async () => {
+    try {
+      setDownloadingInvoice(true);
+      const { data } = await axios.get(`/api/orders/user/${orderId}/invoice`, { responseType: "blob" });
+      downloadFile(data, getInvoiceFileName({ number: order.invoiceNumber }));
+    } catch (error) {
+      console.error("Invoice download error:", error);
+      toast.error("Failed to download your invoice");
+    } finally {
+      setDownloadingInvoice(false);
+    }
+  };
+
+  useEffect(() => {
+    if (user) {
+      fetchOrder();
+      fetchReturnPolicy();
+    }
+  }, [user, orderId]);
+
+  const updateItem = (itemId, changes) =>
+    setOrder((prev) => ({
+      ...prev,
+      items: prev.items.map((item) => (item._id === itemId ? { ...item, ...changes } : item)),
+    }));
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-12">
+        <div className="flex justify-center items-center h-64">
+          <div className="w-12 h-12 border-4 border-purple-600 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!order) {
+    return (
+      <div className="text-center py-20">
+        <div className="w-24 h-24 bg-purple-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <span className="text-4xl">📦</span>
+        </div>
+        <h1 className="text-2xl font-medium text-gray-800 mb-2">We couldn't find this order</h1>
+        <Link to="/my-orders" className="text-purple-600 hover:text-purple-700">
+          Back to My Orders
+        </Link>
+      </div>
+    );
+  }
+
+  const timeline = buildTimeline(order);
+  const trackingUrl = getTrackingUrl(order.tracking);
+  const expectedDelivery = getExpectedDelivery(order);
+  const shipping = order.shippingAmount ?? order.shipping ?? 0;
+  const isClosed = ["delivered", "cancelled", "expired"].includes(order.status?.toLowerCase());
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        {/* Header */}
+        <div>
+          <Link to="/my-orders" className="text-sm text-purple-600 hover:text-purple-700">
+            ← All orders
+          </Link>
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mt-2">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900">
+                Order #{order._id?.slice(-8).toUpperCase()}
+              </h1>
+              <p className="text-gray-600">Placed on {formatDate(order.createdAt)}</p>
+            </div>
+            <OrderStatusBadge status={order.status} />
+          </div>
+          <div className="mt-4 flex flex-wrap items-start gap-3">
+            <OrderActions order={order} returnPolicy={returnPolicy} onUpdated={setOrder} />
+            {order.invoiceNumber && (
+              <button
+                onClick={downloadInvoice}
+                disabled={downloadingInvoice}
+                className="border border-purple-300 text-purple-600 px-4 py-2 rounded-xl text-sm font-semibold hover:bg-purple-50 transition-colors disabled:opacity-50"
+              >
+                {downloadingInvoice ? "Downloading..." : `📄 Invoice ${order.invoiceNumber}`}
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Timeline */}
+          <div className="lg:col-span-2 bg-white rounded-2xl shadow-lg border border-gray-200 p-6">
+            <h2 className="font-semibold text-gray-900 mb-6">Order Timeline</h2>
+            <ol className="relative border-l-2 border-purple-100 ml-3 space-y-6">
+              {timeline.map((entry, index) => (
+                <li key={index} className="ml-6">
+                  <span
+                    className={`absolute -left-[9px] w-4 h-4 rounded-full border-2 ${
+                      entry.done ? "bg-purple-600 border-purple-600" : "bg-white border-gray-300"
+                    }`}
+                  ></span>
+                  <p className={`font-medium ${entry.done ? "text-gray-900" : "text-gray-400"}`}>{entry.status}</p>
+                  {entry.at && <p className="text-sm text-gray-500">{formatDate(entry.at)}</p>}
+                  {entry.note && <p className="text-sm text-gray-600 mt-1">{entry.note}</p>}
+                </li>
+              ))}
+            </ol>
+          </div>
+
+          {/* Shipment */}
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-200 p-6 space-y-4">
+            <h2 className="font-semibold text-gray-900">Shipment</h2>
+            {expectedDelivery && !isClosed && (
+              <div>
+                <p className="text-sm text-gray-600">Expected Delivery</p>
+                <p className="font-medium text-green-700">
+                  {expectedDelivery.from === expectedDelivery.to
+                    ? formatDay(expectedDelivery.from)
+                    : `${formatDay(expectedDelivery.from)} - ${formatDay(expectedDelivery.to)}`}
+                </p>
+              </div>
+            )}
+            {order.tracking?.trackingNumber ? (
+              <>
+                <div>
+                  <p className="text-sm text-gray-600">Carrier</p>
+                  <p className="font-medium">{order.tracking.carrier || "—"}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-600">Tracking Number</p>
+                  <p className="font-mono font-medium">{order.tracking.trackingNumber}</p>
+                </div>
+                {trackingUrl && (
+                  <a
+                    href={trackingUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="block text-center bg-purple-600 text-white px-4 py-2 rounded-xl font-semibold hover:bg-purple-700 transition-colors"
+                  >
+                    Track with {order.tracking.carrier} ↗
+                  </a>
+                )}
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">Tracking details appear here once your order ships.</p>
+            )}
+          </div>
+        </div>
+
+        {/* Items */}
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 p-6">
+          <h2 className="font-semibold text-gray-900 mb-4">Order Items</h2>
+          <div className="space-y-3">
+            {order.items?.map((item, index) => (
+              <div key={item._id || index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center space-x-3">
+                  {item.product?.image?.[0] ? (
+                    <img
+                      src={`http://localhost:5000/images/${item.product.image[0]}`}
+                      alt={item.product.name}
+                      className="w-12 h-12 object-cover rounded-lg"
+                    />
+                  ) : (
+                    <div className="w-12 h-12 bg-purple-100 rounded-lg flex items-center justify-center">
+                      <span className="text-lg">🧶</span>
+                    </div>
+                  )}
+                  <div>
+                    <p className="font-medium text-gray-900">{item.product?.name || item.name}</p>
+                    {item.variantLabel && <p className="text-gray-500 text-sm">{item.variantLabel}</p>}
+                    <p className="text-gray-600 text-sm">Quantity: {item.quantity}</p>
+                    <PatternDownload order={order} item={item} onDownloaded={updateItem} />
+                  </div>
+                </div>
+                <p className="font-semibold text-purple-600">
+                  {formatOrderAmount((item.quantity || 1) * (item.price || 0), order)}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Summary */}
+        <div className="bg-white rounded-2xl shadow-lg border border-gray-200 p-6">
+          <div className="grid grid-cols-2 gap-4 mb-6">
+            <div>
+              <p className="text-sm text-gray-600">Payment Method</p>
+              <p className="font-medium capitalize">{order.paymentType}</p>
+            </div>
+            {order.currency && order.currency !== BASE_CURRENCY && (
+              <div>
+                <p className="text-sm text-gray-600">Charged In</p>
+                <p className="font-medium">
+                  {order.currency} at {order.exchangeRate} per 1 {BASE_CURRENCY}
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2 border-t border-gray-200 pt-4">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Subtotal</span>
+              <span>{formatOrderAmount(order.amount, order)}</span>
+            </div>
+            <TaxBreakdown
+              taxLines={order.taxLines}
+              tax={order.taxAmount}
+              pricesIncludeTax={order.gst?.pricesIncludeTax}
+              format={(amount) => formatOrderAmount(amount, order)}
+            />
+            <div className="flex justify-between">
+              <span className="text-gray-600">Shipping</span>
+              {shipping > 0 ? (
+                <span>{formatOrderAmount(shipping, order)}</span>
+              ) : (
+                <span className="text-green-600">Free</span>
+              )}
+            </div>
+            {order.paymentType === "COD_Advance" && (
+              <>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Advance Paid</span>
+                  <span className="text-green-600">{formatOrderAmount(order.advancePaid, order)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Remaining</span>
+                  <span>{formatOrderAmount(order.remainingAmount, order)}</span>
+                </div>
+              </>
+            )}
+            <div className="flex justify-between text-lg font-bold border-t border-gray-200 pt-2">
+              <span>Total</span>
+              <span className="text-purple-600">{formatOrderAmount(order.totalAmount ?? order.amount, order)}</span>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetails;
@@ -1,20 +1,79 @@
 // ProductCategory.jsx - Updated for crochet categories
+import { useCallback, useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
 import { categories } from "../assets/assets";
 import ProductCard from "../components/ProductCard";
+import InfiniteScroll from "../components/InfiniteScroll";
 import { useAppContext } from "../context/AppContext";
 import { useParams } from "react-router-dom";
 
 const ProductCategory = () => {
-  const { products } = useAppContext();
+  const { fetchProductPage } = useAppContext();
   const { category } = useParams();
+  const [categoryProducts, setCategoryProducts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Bumped when the category changes, so a page still loading for the
+  // previous category is dropped instead of appended
+  const pageRequest = useRef(0);
+
   const searchCategory = categories.find(
     (item) => item.path.toLowerCase() === category
   );
+  // The URL carries a lowercased slug; products store the category's name
+  const categoryName = searchCategory?.path || category;
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadingMore(false);
+
+    const loadFirstPage = async () => {
+      try {
+        setLoading(true);
+        setCategoryProducts([]);
+        const page = await fetchProductPage({ category: categoryName });
+        if (!cancelled) {
+          setCategoryProducts(page.products);
+          setNextCursor(page.nextCursor);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error("❌ Failed to load category:", error.message);
+          setNextCursor(null);
+          toast.error("Failed to load products");
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadFirstPage();
+    return () => {
+      cancelled = true;
+      pageRequest.current++;
+    };
+  }, [category]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    const requestId = pageRequest.current;
+
+    try {
+      setLoadingMore(true);
+      const page = await fetchProductPage({ category: categoryName, cursor: nextCursor });
+      if (requestId !== pageRequest.current) return;
+      setCategoryProducts((prev) => [...prev, ...page.products]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      if (requestId !== pageRequest.current) return;
+      console.error("❌ Failed to load more products:", error.message);
+      toast.error("Failed to load more products");
+    } finally {
+      if (requestId === pageRequest.current) setLoadingMore(false);
+    }
+  }, [categoryName, nextCursor, loadingMore]);
 
-  const filteredProducts = products.filter(
-    (product) => product.category.toLowerCase() === category
-  );
-  
   return (
     <div className="mt-16">
       {searchCategory && (
@@ -24,18 +83,23 @@ const ProductCategory = () => {
             {searchCategory.text}
           </h1>
           <p className="text-gray-600 mt-2 text-center max-w-2xl">
-            Discover our beautiful handmade {searchCategory.text.toLowerCase()} collection, 
+            Discover our beautiful handmade {searchCategory.text.toLowerCase()} collection,
             each piece crafted with love and attention to detail.
           </p>
         </div>
-      )}     
-      {filteredProducts.length > 0 ? (
+      )}
+      {categoryProducts.length > 0 ? (
         <div>
           <div className="my-6 grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6 items-center justify-center">
-            {filteredProducts.map((product, index) => (
-              <ProductCard key={index} product={product} />
+            {categoryProducts.map((product, index) => (
+              <ProductCard key={product._id} product={product} index={index} />
             ))}
           </div>
+          <InfiniteScroll hasMore={Boolean(nextCursor)} loading={loadingMore} onLoadMore={loadMore} />
+        </div>
+      ) : loading ? (
+        <div className="flex justify-center py-12">
+          <div className="w-10 h-10 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin"></div>
         </div>
       ) : (
         <div className="text-center py-12">
@@ -1,28 +1,170 @@
-// Products.jsx - Updated for crochet products
-import { useState, useEffect } from "react";
+// Products.jsx - Server-side search with facet filters kept in the URL
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useSearchParams } from "react-router-dom";
+import toast from "react-hot-toast";
 import ProductCard from "../components/ProductCard";
+import InfiniteScroll from "../components/InfiniteScroll";
 import { useAppContext } from "../context/AppContext"; // Changed from "appContext" to "AppContext"
+import { PRICE_BANDS, MULTI_VALUE_FILTERS } from "../utils/productSearch";
+
+const FACET_SECTIONS = [
+  { key: "category", title: "Category" },
+  { key: "price", title: "Price" },
+  { key: "skillLevel", title: "Skill Level" },
+  { key: "materials", title: "Materials" },
+];
+
+const SORT_OPTIONS = [
+  { value: "relevance", label: "Most Relevant" },
+  { value: "newest", label: "Newest" },
+  { value: "price_asc", label: "Price: Low to High" },
+  { value: "price_desc", label: "Price: High to Low" },
+];
+
+const facetLabel = (key, value) => {
+  if (key === "price") {
+    return PRICE_BANDS.find((band) => band.id === value)?.label || value;
+  }
+  return value;
+};
 
 const Products = () => {
-  const { products, searchQuery } = useAppContext();
-  const [filteredProducts, setFilteredProducts] = useState([]);
-  
+  const { axios, searchQuery, setSearchQuery, cacheProducts } = useAppContext();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState({});
+  const [searching, setSearching] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+
+  const query = searchParams.get("q") || "";
+  const sort = searchParams.get("sort") || "relevance";
+
+  const getSelected = (key) => searchParams.get(key)?.split(",").filter(Boolean) || [];
+
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    for (const [key, value] of Object.entries(changes)) {
+      if (!value || value.length === 0) {
+        next.delete(key);
+      } else {
+        next.set(key, Array.isArray(value) ? value.join(",") : value);
+      }
+    }
+    setSearchParams(next, { replace: true });
+  };
+
+  const toggleFacet = (key, value) => {
+    const selected = getSelected(key);
+    if (!MULTI_VALUE_FILTERS.includes(key)) {
+      updateParams({ [key]: selected.includes(value) ? null : value });
+      return;
+    }
+    updateParams({
+      [key]: selected.includes(value)
+        ? selected.filter((item) => item !== value)
+        : [...selected, value],
+    });
+  };
+
+  const clearFilters = () => {
+    setSearchParams(query ? { q: query } : {}, { replace: true });
+  };
+
+  const syncedFromUrl = useRef(false);
+  // Bumped whenever the search changes, so a page still loading for the
+  // previous search is dropped instead of appended
+  const pageRequest = useRef(0);
+
+  // Mirror the navbar search box into the URL. On first render the URL
+  // wins, so a shared link fills the search box instead of being cleared.
   useEffect(() => {
-    if (searchQuery.length > 0) {
-      setFilteredProducts(
-        products.filter((product) =>
-          product.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          product.category.toLowerCase().includes(searchQuery.toLowerCase()) ||
-          product.materials?.some(material => 
-            material.toLowerCase().includes(searchQuery.toLowerCase())
-          )
-        )
-      );
-    } else {
-      setFilteredProducts(products);
+    if (!syncedFromUrl.current) {
+      syncedFromUrl.current = true;
+      if (query !== searchQuery) setSearchQuery(query);
+      return;
+    }
+    if (searchQuery.trim() !== query) {
+      updateParams({ q: searchQuery.trim() });
+    }
+  }, [searchQuery]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadingMore(false);
+
+    const search = async () => {
+      try {
+        setSearching(true);
+        const { data } = await axios.get("/api/product/search", {
+          params: Object.fromEntries(searchParams),
+        });
+
+        if (cancelled) return;
+        if (data.success) {
+          setResults(data.products || []);
+          setTotal(data.total ?? data.products?.length ?? 0);
+          setFacets(data.facets || {});
+          setNextCursor(data.nextCursor || null);
+          cacheProducts(data.products || []);
+        } else {
+          setResults([]);
+          setTotal(0);
+          setNextCursor(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          console.error("❌ Product search failed:", error.message);
+          setResults([]);
+          setTotal(0);
+          setNextCursor(null);
+        }
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    };
+
+    // Debounce typing in the search box
+    const timer = setTimeout(search, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      pageRequest.current++;
+    };
+  }, [searchParams]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    const requestId = pageRequest.current;
+
+    try {
+      setLoadingMore(true);
+      const { data } = await axios.get("/api/product/search", {
+        params: { ...Object.fromEntries(searchParams), cursor: nextCursor },
+      });
+      if (requestId !== pageRequest.current) return;
+
+      if (data.success) {
+        setResults((prev) => [...prev, ...(data.products || [])]);
+        setNextCursor(data.nextCursor || null);
+        cacheProducts(data.products || []);
+      }
+    } catch (error) {
+      if (requestId !== pageRequest.current) return;
+      console.error("❌ Failed to load more products:", error.message);
+      toast.error("Failed to load more products");
+    } finally {
+      if (requestId === pageRequest.current) setLoadingMore(false);
     }
-  }, [products, searchQuery]);
-  
+  }, [nextCursor, loadingMore, searchParams]);
+
+  const activeFilterCount = [...FACET_SECTIONS.map(({ key }) => key), "inStock"]
+    .reduce((count, key) => count + getSelected(key).length, 0);
+
+  const inStockCount = facets.inStock?.find((facet) => facet.value === "true")?.count || 0;
+
   return (
     <div className="mt-16">
       <div className="text-center mb-12">
@@ -30,32 +172,119 @@ const Products = () => {
           Handmade Velvoria Collection
         </h1>
         <p className="text-gray-600 max-w-2xl mx-auto text-lg">
-          Discover unique, handmade velvoria creations crafted with love and attention to detail. 
+          Discover unique, handmade velvoria creations crafted with love and attention to detail.
           Each piece tells a story of creativity and craftsmanship.
         </p>
       </div>
-      
-      {filteredProducts.length > 0 ? (
-        <div className="my-6 grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6">
-          {filteredProducts
-            .filter((product) => product.inStock)
-            .map((product, index) => (
-              <ProductCard key={index} product={product} />
-            ))}
-        </div>
-      ) : (
-        <div className="text-center py-12">
-          <div className="w-24 h-24 bg-purple-100 rounded-full flex items-center justify-center mx-auto mb-4">
-            <span className="text-2xl">🔍</span>
+
+      <div className="flex flex-col lg:flex-row gap-8">
+        {/* Facet Sidebar */}
+        <aside className={`${showFilters ? "block" : "hidden"} lg:block lg:w-64 shrink-0`}>
+          <div className="bg-white rounded-2xl shadow-lg border border-gray-100 p-5 space-y-6 lg:sticky lg:top-24">
+            <div className="flex items-center justify-between">
+              <h2 className="font-semibold text-gray-900">Filters</h2>
+              {activeFilterCount > 0 && (
+                <button
+                  onClick={clearFilters}
+                  className="text-sm text-purple-600 hover:text-purple-700"
+                >
+                  Clear all
+                </button>
+              )}
+            </div>
+
+            <label className="flex items-center justify-between cursor-pointer">
+              <span className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={getSelected("inStock").includes("true")}
+                  onChange={() => toggleFacet("inStock", "true")}
+                  className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                />
+                In stock only
+              </span>
+              <span className="text-xs text-gray-400">{inStockCount}</span>
+            </label>
+
+            {FACET_SECTIONS.map(({ key, title }) =>
+              facets[key]?.length > 0 ? (
+                <div key={key}>
+                  <h3 className="text-sm font-semibold text-gray-800 mb-2">{title}</h3>
+                  <div className="space-y-2 max-h-48 overflow-y-auto">
+                    {facets[key].map(({ value, count }) => (
+                      <label key={value} className="flex items-center justify-between cursor-pointer">
+                        <span className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={getSelected(key).includes(value)}
+                            onChange={() => toggleFacet(key, value)}
+                            className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                          />
+                          {facetLabel(key, value)}
+                        </span>
+                        <span className="text-xs text-gray-400">{count}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ) : null
+            )}
+          </div>
+        </aside>
+
+        {/* Results */}
+        <div className="flex-1">
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <p className="text-sm text-gray-600">
+              {searching ? "Searching..." : `${total} creation${total === 1 ? "" : "s"}`}
+              {query && !searching && <> for &quot;{query}&quot;</>}
+            </p>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => setShowFilters(!showFilters)}
+                className="lg:hidden px-3 py-2 bg-white border border-gray-200 rounded-xl text-sm"
+              >
+                Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ""}
+              </button>
+              <select
+                value={sort}
+                onChange={(e) => updateParams({ sort: e.target.value === "relevance" ? null : e.target.value })}
+                className="px-3 py-2 bg-white border border-gray-200 rounded-xl text-sm focus:ring-2 focus:ring-purple-500"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
           </div>
-          <h2 className="text-xl font-semibold text-gray-800 mb-2">
-            No velvoria creations found
-          </h2>
-          <p className="text-gray-600">
-            {searchQuery ? `No results for "${searchQuery}". Try a different search term.` : 'No products available at the moment.'}
-          </p>
+
+          {results.length > 0 && (
+            <div className={`grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-6 transition-opacity ${searching ? "opacity-60" : ""}`}>
+              {results.map((product, index) => (
+                <ProductCard key={product._id} product={product} index={index} />
+              ))}
+            </div>
+          )}
+
+          {results.length > 0 && !searching && (
+            <InfiniteScroll hasMore={Boolean(nextCursor)} loading={loadingMore} onLoadMore={loadMore} />
+          )}
+
+          {results.length === 0 && !searching ? (
+            <div className="text-center py-12">
+              <div className="w-24 h-24 bg-purple-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <span className="text-2xl">🔍</span>
+              </div>
+              <h2 className="text-xl font-semibold text-gray-800 mb-2">
+                No velvoria creations found
+              </h2>
+              <p className="text-gray-600">
+                {query ? `No results for "${query}". Try a different search term.` : 'No products match these filters.'}
+              </p>
+            </div>
+          ) : null}
         </div>
-      )}
+      </div>
     </div>
   );
 };
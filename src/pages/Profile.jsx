@@ -1,6 +1,123 @@
 import React, { useState, useContext, useEffect } from 'react';
 import { AppContext } from '../context/AppContext';
 import toast from 'react-hot-toast';
+import { parseCartKey, resolveCartItem } from '../utils/variants';
+
+// Saved items, with stock shown so shoppers know what they can buy now
+const WishlistTab = () => {
+  const { wishlist, ensureProducts, toggleWishlist, moveToCart, navigate, formatPrice } = useContext(AppContext);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadItems = async () => {
+      setLoading(true);
+      const products = await ensureProducts([...new Set(wishlist.map((key) => parseCartKey(key).productId))]);
+      if (cancelled) return;
+      if (!products) {
+        toast.error('Failed to load your wishlist');
+        setLoading(false);
+        return;
+      }
+
+      const productsById = new Map(products.map((product) => [product._id, product]));
+      setItems(
+        wishlist
+          .map((key) => {
+            const { productId, variantId } = parseCartKey(key);
+            const product = productsById.get(productId);
+            // A saved variant that no longer exists falls back to the product
+            return product ? { key, product: resolveCartItem(product, variantId) || product } : null;
+          })
+          .filter(Boolean)
+      );
+      setLoading(false);
+    };
+
+    loadItems();
+    return () => {
+      cancelled = true;
+    };
+  }, [wishlist]);
+
+  const isAvailable = (item) =>
+    item.product.variant ? Number(item.product.variant.stock) > 0 && item.product.inStock !== false : item.product.inStock;
+
+  return (
+    <div className="p-8">
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">My Wishlist</h2>
+          <p className="text-gray-600 mt-1">Saved creations - we'll email you when sold-out items are back</p>
+        </div>
+        <div className="w-12 h-12 bg-purple-100 rounded-xl flex items-center justify-center">
+          <span className="text-xl">♥</span>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="w-10 h-10 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin"></div>
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-12">
+          <p className="text-gray-600 mb-4">Your wishlist is empty</p>
+          <button
+            onClick={() => navigate('/products')}
+            className="bg-purple-600 text-white px-6 py-3 rounded-xl font-semibold hover:bg-purple-700 transition-colors"
+          >
+            Browse Creations
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {items.map((item) => {
+            const { productId, variantId } = parseCartKey(item.key);
+            const available = isAvailable(item);
+            // Products with variants saved from the heart need options picked first
+            const needsOptions = !item.product.cartKey;
+            const openProduct = () => navigate(`/product/${item.product.category?.toLowerCase()}/${productId}`);
+            return (
+              <div key={item.key} className="flex items-center gap-4 p-4 border border-gray-200 rounded-xl">
+                <img
+                  src={`http://localhost:5000/images/${item.product.image?.[0]}`}
+                  alt={item.product.name}
+                  onClick={openProduct}
+                  className="w-20 h-20 object-cover rounded-lg cursor-pointer"
+                />
+                <div className="flex-1">
+                  <p className="font-semibold text-gray-900">{item.product.name}</p>
+                  {item.product.variantLabel && <p className="text-sm text-gray-500">{item.product.variantLabel}</p>}
+                  <p className="text-purple-600 font-semibold">{formatPrice(item.product.offerPrice)}</p>
+                  <p className={`text-xs mt-1 ${available ? 'text-green-600' : 'text-gray-500'}`}>
+                    {available ? '✓ In stock' : "🔔 Out of stock - we'll notify you"}
+                  </p>
+                </div>
+                <div className="flex flex-col gap-2">
+                  <button
+                    onClick={() => (needsOptions ? openProduct() : moveToCart(item.key))}
+                    disabled={!available}
+                    className="bg-purple-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-purple-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {needsOptions ? 'Choose Options' : 'Move to Cart'}
+                  </button>
+                  <button
+                    onClick={() => toggleWishlist(productId, variantId)}
+                    className="text-sm text-gray-500 hover:text-red-600"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const Profile = () => {
   const { user, setUser, axios, navigate } = useContext(AppContext);
@@ -257,6 +374,18 @@ useEffect(() => {
                   <span>My Orders</span>
                 </button>
 
+                <button
+                  onClick={() => setActiveTab('wishlist')}
+                  className={`w-full flex items-center space-x-3 px-4 py-3 rounded-xl font-medium transition-all duration-200 ${
+                    activeTab === 'wishlist'
+                      ? 'bg-purple-50 text-purple-600 shadow-sm'
+                      : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+                  }`}
+                >
+                  <span className="text-lg">♥</span>
+                  <span>Wishlist</span>
+                </button>
+
                 <button
                   onClick={() => navigate('/add-address')}
                   className="w-full flex items-center space-x-3 px-4 py-3 rounded-xl font-medium text-gray-600 hover:bg-gray-50 hover:text-gray-900 transition-all duration-200"
@@ -475,6 +604,9 @@ useEffect(() => {
                 </div>
               )}
 
+              {/* Wishlist Tab */}
+              {activeTab === 'wishlist' && <WishlistTab />}
+
 {/* Location Management Tab */}
 {activeTab === 'location' && (
   <div>
@@ -4,27 +4,129 @@ import { useAppContext } from "../context/AppContext";
 import { Link, useParams } from "react-router-dom";
 import { assets } from "../assets/assets";
 import ProductCard from "../components/ProductCard";
+import ProductReviews from "../components/ProductReviews";
+import toast from "react-hot-toast";
+import {
+  PATTERN_ITEM_ID,
+  getCartKey,
+  hasVariants,
+  findVariantBySelection,
+  getVariantPrice,
+  getVariantImages,
+  isVariantInStock,
+} from "../utils/variants";
+import { SCARCITY_THRESHOLD, getAvailableStock } from "../utils/stock";
+
+// Whether tax is inside the price depends on store settings applied at
+// checkout; only a product set to the 0% slab is known to carry no GST
+const isGstExempt = (product) =>
+  product.gstRate !== undefined && product.gstRate !== null && product.gstRate !== "" && Number(product.gstRate) === 0;
 
 const SingleProduct = () => {
-  const { products, navigate, addToCart } = useAppContext();
+  const {
+    navigate,
+    addToCart,
+    formatPrice,
+    getProduct,
+    fetchProduct,
+    fetchProductPage,
+    wishlist,
+    toggleWishlist,
+  } = useAppContext();
   const { id } = useParams();
   const [thumbnail, setThumbnail] = useState(null);
   const [relatedProducts, setRelatedProducts] = useState([]);
-  const product = products.find((product) => product._id === id);
-  
+  const [notFound, setNotFound] = useState(false);
+  const [selection, setSelection] = useState({});
+  const product = getProduct(id);
+  const withVariants = hasVariants(product);
+  const selectedVariant = findVariantBySelection(product, selection);
+
+  // Show the cached copy straight away and revalidate it in the background;
+  // a deep link with nothing cached loads the product on its own
+  useEffect(() => {
+    setNotFound(false);
+    fetchProduct(id)
+      .then((fetched) => {
+        if (!fetched) setNotFound(true);
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load product:", error.message);
+      });
+  }, [id]);
+
   useEffect(() => {
-    if (products.length > 0 && product) {
-      let productsCopy = products.slice();
-      productsCopy = productsCopy.filter(
-        (item) => item.category === product.category && item._id !== product._id
-      );
-      setRelatedProducts(productsCopy.slice(0, 4));
+    if (!product?.category) return;
+
+    // The stored category name, the same value the category pages query by
+    fetchProductPage({ category: product.category, limit: 5 })
+      .then(({ products: page }) => {
+        setRelatedProducts(page.filter((item) => item._id !== product._id).slice(0, 4));
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load related products:", error.message);
+      });
+  }, [product?._id, product?.category]);
+
+  // Start on the first variant that can be bought
+  useEffect(() => {
+    if (!withVariants) {
+      setSelection({});
+      return;
     }
-  }, [products, product]);
+    const initial = product.variants.find((variant) => isVariantInStock(product, variant)) || product.variants[0];
+    setSelection({ ...initial.options });
+  }, [product?._id]);
 
   useEffect(() => {
-    setThumbnail(product?.image[0] ? product.image[0] : null);
-  }, [product]);
+    const images = product ? getVariantImages(product, selectedVariant) : [];
+    setThumbnail(images[0] || null);
+  }, [product, selectedVariant?.id]);
+
+  if (!product) {
+    return notFound ? (
+      <div className="text-center py-20">
+        <div className="w-24 h-24 bg-purple-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <span className="text-2xl">🧶</span>
+        </div>
+        <h1 className="text-2xl font-medium text-gray-800 mb-2">This creation is no longer available</h1>
+        <Link to="/products" className="text-purple-600 hover:text-purple-700">
+          Browse all creations
+        </Link>
+      </div>
+    ) : (
+      <div className="flex justify-center py-20">
+        <div className="w-10 h-10 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  const images = getVariantImages(product, selectedVariant);
+  const { price, offerPrice } = getVariantPrice(product, selectedVariant);
+  const canBuy = withVariants ? Boolean(selectedVariant) && isVariantInStock(product, selectedVariant) : getAvailableStock(product) !== 0;
+  const stockLeft = withVariants && !selectedVariant ? null : getAvailableStock(product, selectedVariant);
+  const soldOut = withVariants ? Boolean(selectedVariant) && !canBuy : !canBuy;
+  // Sold-out alerts follow the exact variant; the heart saves the product
+  const restockKey = getCartKey(product._id, selectedVariant?.id);
+
+  // An option value is unavailable when no in-stock variant has it together
+  // with the other options already chosen
+  const isOptionAvailable = (axis, value) =>
+    product.variants.some(
+      (variant) =>
+        variant.options[axis] === value &&
+        isVariantInStock(product, variant) &&
+        Object.entries(selection).every(([otherAxis, chosen]) => otherAxis === axis || variant.options[otherAxis] === chosen)
+    );
+
+  const handleAddToCart = () => {
+    if (withVariants && !selectedVariant) {
+      toast.error("Please choose your options first");
+      return false;
+    }
+    addToCart(product._id, selectedVariant?.id);
+    return true;
+  };
 
   return (
     product && (
@@ -46,7 +148,7 @@ const SingleProduct = () => {
           {/* Product Images */}
           <div className="flex flex-col-reverse lg:flex-row gap-6 lg:w-1/2">
             <div className="flex lg:flex-col gap-3 order-2 lg:order-1">
-              {product.image.map((image, index) => (
+              {images.map((image, index) => (
                 <div
                   key={index}
                   onClick={() => setThumbnail(image)}
@@ -74,22 +176,37 @@ const SingleProduct = () => {
 
           {/* Product Details */}
           <div className="lg:w-1/2">
-            <h1 className="text-3xl lg:text-4xl font-bold text-gray-800 mb-4">
-              {product.name}
-            </h1>
+            <div className="flex items-start justify-between gap-4 mb-4">
+              <h1 className="text-3xl lg:text-4xl font-bold text-gray-800">
+                {product.name}
+              </h1>
+              <button
+                onClick={() => toggleWishlist(product._id)}
+                className="shrink-0 w-11 h-11 flex items-center justify-center border border-gray-200 rounded-full hover:bg-pink-50 transition duration-300"
+                aria-label={wishlist.includes(product._id) ? "Remove from wishlist" : "Save to wishlist"}
+              >
+                <span className={`text-2xl leading-none ${wishlist.includes(product._id) ? "text-pink-500" : "text-gray-400"}`}>
+                  {wishlist.includes(product._id) ? "♥" : "♡"}
+                </span>
+              </button>
+            </div>
 
             <div className="flex items-center gap-1 mb-6">
               {Array(5)
                 .fill("")
                 .map((_, i) => (
                   <img
-                    src={i < Math.floor(product.rating || 4) ? assets.star_icon : assets.star_dull_icon}
+                    src={i < Math.round(product.rating || 0) ? assets.star_icon : assets.star_dull_icon}
                     alt="star"
                     key={i}
                     className="w-5 h-5"
                   />
                 ))}
-              <p className="text-gray-600 ml-2">({product.rating || 4})</p>
+              <a href="#reviews" className="text-gray-600 ml-2 hover:text-purple-600">
+                {product.reviewCount > 0
+                  ? `${Number(product.rating).toFixed(1)} (${product.reviewCount} review${product.reviewCount === 1 ? "" : "s"})`
+                  : "No reviews yet"}
+              </a>
               <span className="mx-2 text-gray-300">•</span>
               <span className="bg-purple-100 text-purple-800 px-2 py-1 rounded-full text-xs font-medium">
                 Handmade
@@ -97,15 +214,55 @@ const SingleProduct = () => {
             </div>
 
             <div className="mb-6">
-<p className="text-3xl font-bold text-purple-600 mb-2">
-  ₹{product.offerPrice}
-</p>
               <p className="text-3xl font-bold text-purple-600 mb-2">
-                ₹{product.offerPrice}
+                {formatPrice(offerPrice)}
+                {offerPrice < price && (
+                  <span className="ml-3 text-lg font-normal text-gray-400 line-through">{formatPrice(price)}</span>
+                )}
               </p>
-              <span className="text-gray-500 text-sm">(inclusive of all taxes)</span>
+              <span className="text-gray-500 text-sm">
+                {isGstExempt(product) ? "(no GST on this item)" : "(taxes calculated at checkout)"}
+              </span>
             </div>
 
+            {/* Variant Options */}
+            {withVariants && (
+              <div className="space-y-4 mb-6">
+                {product.options.map((option) => (
+                  <div key={option.name}>
+                    <p className="text-sm font-medium text-gray-700 mb-2">
+                      {option.name}: <span className="text-purple-600">{selection[option.name] || "Choose"}</span>
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                      {option.values.map((value) => {
+                        const available = isOptionAvailable(option.name, value);
+                        const selected = selection[option.name] === value;
+                        return (
+                          <button
+                            key={value}
+                            onClick={() => setSelection({ ...selection, [option.name]: value })}
+                            className={`px-4 py-2 rounded-lg border text-sm transition duration-300 ${
+                              selected
+                                ? "border-purple-500 bg-purple-50 text-purple-700"
+                                : "border-gray-300 text-gray-700 hover:border-purple-400"
+                            } ${available ? "" : "opacity-40 line-through"}`}
+                          >
+                            {value}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ))}
+                {selectedVariant && !isVariantInStock(product, selectedVariant) && (
+                  <p className="text-sm text-red-600">This combination is currently out of stock</p>
+                )}
+                {!selectedVariant && (
+                  <p className="text-sm text-gray-500">This combination is not available</p>
+                )}
+              </div>
+            )}
+
             {/* Crochet Specifications */}
             <div className="bg-gray-50 rounded-lg p-4 mb-6">
               <h3 className="font-semibold text-gray-800 mb-3">Product Details</h3>
@@ -129,39 +286,67 @@ const SingleProduct = () => {
             </ul>
 
             {/* Pattern Information */}
-            {product.patternAvailable && (
+            {product.patternAvailable && product.patternPrice > 0 && (
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
                 <h4 className="font-semibold text-blue-800 mb-2">Pattern Available</h4>
                 <p className="text-blue-700 text-sm mb-3">
                   Love this design? Get the digital pattern to make it yourself!
+                  The PDF is ready to download from My Orders once your payment is confirmed.
                 </p>
-<button className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg text-sm transition duration-300">
-  Buy Pattern - ₹{product.patternPrice}
-</button>
+                <button
+                  onClick={() => addToCart(product._id, PATTERN_ITEM_ID)}
+                  className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg text-sm transition duration-300"
+                >
+                  Buy Pattern - {formatPrice(product.patternPrice)}
+                </button>
               </div>
             )}
 
+            {stockLeft > 0 && stockLeft <= SCARCITY_THRESHOLD && (
+              <p className="text-sm font-medium text-orange-600 mb-3">Only {stockLeft} left - order soon</p>
+            )}
+
             <div className="flex flex-col sm:flex-row gap-4">
               <button
-                onClick={() => addToCart(product._id)}
-                className="flex-1 py-4 font-semibold bg-white border-2 border-purple-500 text-purple-600 hover:bg-purple-50 transition duration-300 rounded-lg flex items-center justify-center gap-2"
+                onClick={handleAddToCart}
+                disabled={!canBuy}
+                className="disabled:opacity-50 disabled:cursor-not-allowed flex-1 py-4 font-semibold bg-white border-2 border-purple-500 text-purple-600 hover:bg-purple-50 transition duration-300 rounded-lg flex items-center justify-center gap-2"
               >
                 <span>🧶</span>
                 Add to Cart
               </button>
               <button
                 onClick={() => {
-                  addToCart(product._id);
+                  if (!handleAddToCart()) return;
                   navigate("/cart");
                   scrollTo(0, 0);
                 }}
-                className="flex-1 py-4 font-semibold bg-purple-500 text-white hover:bg-purple-600 transition duration-300 rounded-lg flex items-center justify-center gap-2"
+                disabled={!canBuy}
+                className="disabled:opacity-50 disabled:cursor-not-allowed flex-1 py-4 font-semibold bg-purple-500 text-white hover:bg-purple-600 transition duration-300 rounded-lg flex items-center justify-center gap-2"
               >
                 <span>⚡</span>
                 Buy Now
               </button>
             </div>
 
+            {soldOut && (
+              <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-lg flex items-center justify-between gap-4">
+                <p className="text-sm text-gray-700">
+                  {wishlist.includes(restockKey)
+                    ? "🔔 We'll let you know as soon as this is back in stock."
+                    : "Sold out for now. Get an alert when it's back?"}
+                </p>
+                {!wishlist.includes(restockKey) && (
+                  <button
+                    onClick={() => toggleWishlist(product._id, selectedVariant?.id)}
+                    className="shrink-0 bg-purple-100 text-purple-700 px-4 py-2 rounded-lg text-sm font-medium hover:bg-purple-200 transition duration-300"
+                  >
+                    Notify Me
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Shipping Info */}
             <div className="mt-6 p-4 bg-green-50 border border-green-200 rounded-lg">
               <div className="flex items-center gap-2 text-green-800">
@@ -175,6 +360,8 @@ const SingleProduct = () => {
           </div>
         </div>
 
+        <ProductReviews productId={product._id} />
+
         {/* Related Products */}
         {relatedProducts.length > 0 && (
           <div className="mt-20">
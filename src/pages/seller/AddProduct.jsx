@@ -1,12 +1,56 @@
-// AddProduct.jsx - Updated with ₹ Currency
+// AddProduct.jsx - Add and edit products (with ₹ Currency)
 import { assets, categories } from "../../assets/assets";
-import { useContext, useState } from "react";
+import { useContext, useEffect, useRef, useState } from "react";
+import { useParams } from "react-router-dom";
 import { AppContext } from "../../context/AppContext";
 import toast from "react-hot-toast";
+import {
+  MAX_OPTION_AXES,
+  buildVariants,
+  generateBaseSku,
+  generateSku,
+  getVariantLabel,
+  getVariantPrice,
+} from "../../utils/variants";
+import {
+  PRODUCT_HISTORY_FIELDS,
+  HISTORY_ACTIONS,
+  formatHistoryValue,
+} from "../../utils/productHistory";
+import { MAX_PATTERN_FILE_SIZE } from "../../utils/patterns";
+import { GST_RATES, isValidHsnCode } from "../../utils/gst";
+import StockMovementModal from "../../components/seller/StockMovementModal";
+
+const EMPTY_OPTION = { name: "", values: "" };
+
+// Option inputs hold comma-separated values while the seller types
+const parseOptions = (optionInputs) =>
+  optionInputs
+    .map((option) => ({
+      name: option.name.trim(),
+      values: [...new Set(option.values.split(",").map((value) => value.trim()).filter(Boolean))],
+    }))
+    .filter((option) => option.name && option.values.length > 0);
+
+// Image slots hold a new File, or the stored filename of an existing image
+const isNewImage = (slot) => slot instanceof File;
+
+const parseJSON = (value, fallback) => {
+  if (typeof value !== "string") return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
 
 const AddProduct = () => {
-  const { axios } = useContext(AppContext);
+  const { axios, navigate, fetchProducts } = useContext(AppContext);
+  const { id: productId } = useParams();
+  const isEditing = Boolean(productId);
   const [files, setFiles] = useState([]);
+  // One object URL per picked File, revoked once its slot no longer holds it
+  const previewUrls = useRef(new Map());
   const [name, setName] = useState("");
   const [description, setDescription] = useState("");
   const [category, setCategory] = useState("");
@@ -16,12 +60,32 @@ const AddProduct = () => {
   const [careInstructions, setCareInstructions] = useState("");
   const [skillLevel, setSkillLevel] = useState("Intermediate");
   const [weight, setWeight] = useState("");
-  const [dimensions, setDimensions] = useState({ length: "", width: "" });
+  const [dimensions, setDimensions] = useState({ length: "", width: "", height: "" });
   const [loading, setLoading] = useState(false);
   const [patternAvailable, setPatternAvailable] = useState(false);
   const [patternPrice, setPatternPrice] = useState("");
+  const [patternFile, setPatternFile] = useState(null);
   const [stock, setStock] = useState("");
   const [tags, setTags] = useState("");
+  const [hsnCode, setHsnCode] = useState("");
+  const [gstRate, setGstRate] = useState("");
+  const [variantsEnabled, setVariantsEnabled] = useState(false);
+  const [optionInputs, setOptionInputs] = useState([{ name: "Colour", values: "" }]);
+  const [variants, setVariants] = useState([]);
+  const [originalProduct, setOriginalProduct] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loadingProduct, setLoadingProduct] = useState(false);
+  // The item (product or saved variant) whose stock is being adjusted
+  const [stockItem, setStockItem] = useState(null);
+
+  const variantStockTotal = variants.reduce((sum, variant) => sum + (parseInt(variant.stock) || 0), 0);
+  const baseSku = generateBaseSku({ name, category });
+  const variantSku = (variant) => (variant.sku.trim() || generateSku(baseSku, variant.options)).toUpperCase();
+
+  // Saved stock only changes through the stock ledger. A new product's or
+  // new variant's stock is its opening balance and is set with the form.
+  const isSavedVariant = (variant) => Boolean(originalProduct?.variants?.some((saved) => saved.id === variant.id));
+  const stockLocked = (variant = null) => isEditing && (variant ? isSavedVariant(variant) : !variantsEnabled);
 
   // Security: File validation
   const validateFiles = (files) => {
@@ -47,18 +111,66 @@ const AddProduct = () => {
       setLoading(true);
 
       // Enhanced validation
-      if (!validateFiles(files.filter(Boolean))) return;
+      if (!validateFiles(files.filter(isNewImage))) return;
+
+      if (isEditing && !files.some(Boolean)) {
+        toast.error("Keep at least one image");
+        return;
+      }
       
       if (parseFloat(offerPrice) >= parseFloat(price)) {
         toast.error("Offer price must be less than original price");
         return;
       }
 
-      if (parseInt(stock) < 0) {
+      if (patternAvailable) {
+        if (!(parseFloat(patternPrice) > 0)) {
+          toast.error("Enter a price for the pattern");
+          return;
+        }
+        if (!patternFile && !originalProduct?.patternFileName) {
+          toast.error("Upload the pattern PDF buyers will download");
+          return;
+        }
+      }
+
+      if (hsnCode && !isValidHsnCode(hsnCode)) {
+        toast.error("HSN code must be 4, 6 or 8 digits");
+        return;
+      }
+
+      if (!variantsEnabled && parseInt(stock) < 0) {
         toast.error("Stock cannot be negative");
         return;
       }
 
+      if (variantsEnabled) {
+        if (variants.length === 0) {
+          toast.error("Add at least one option with values, or turn off variants");
+          return;
+        }
+
+        for (const variant of variants) {
+          const label = getVariantLabel(variant);
+          const variantStock = parseInt(variant.stock);
+          if (!Number.isInteger(variantStock) || variantStock < 0) {
+            toast.error(`Enter a stock quantity for ${label}`);
+            return;
+          }
+          const effective = getVariantPrice({ price: parseFloat(price), offerPrice: parseFloat(offerPrice) }, variant);
+          if (effective.offerPrice >= effective.price) {
+            toast.error(`Offer price for ${label} must be less than its original price`);
+            return;
+          }
+        }
+
+        const skus = variants.map(variantSku);
+        if (new Set(skus).size !== skus.length) {
+          toast.error("Every variant needs its own SKU");
+          return;
+        }
+      }
+
       const formData = new FormData();
       formData.append("name", name.trim());
       formData.append("description", JSON.stringify(description.split('\n').filter(line => line.trim())));
@@ -72,43 +184,210 @@ const AddProduct = () => {
       formData.append("dimensions", JSON.stringify(dimensions));
       formData.append("patternAvailable", patternAvailable);
       formData.append("patternPrice", patternPrice);
-      formData.append("stock", stock);
+      if (!isEditing) {
+        formData.append("stock", variantsEnabled ? variantStockTotal : stock);
+      }
       formData.append("tags", tags);
+      formData.append("hsnCode", hsnCode);
+      formData.append("gstRate", gstRate);
+
+      if (variantsEnabled) {
+        // Image slots can be left empty, so map them to uploaded positions
+        const uploadedSlots = files.map((file, slot) => (file ? slot : null)).filter((slot) => slot !== null);
+
+        formData.append("sku", baseSku);
+        formData.append("options", JSON.stringify(parseOptions(optionInputs)));
+        formData.append(
+          "variants",
+          JSON.stringify(
+            variants.map((variant) => ({
+              id: variant.id,
+              sku: variantSku(variant),
+              options: variant.options,
+              price: parseFloat(variant.price) || null,
+              offerPrice: parseFloat(variant.offerPrice) || null,
+              // Saved variants keep their ledger stock; the server ignores it
+              stock: isSavedVariant(variant) ? undefined : parseInt(variant.stock),
+              imageIndexes: variant.imageIndexes
+                .map((slot) => uploadedSlots.indexOf(slot))
+                .filter((index) => index >= 0),
+            }))
+          )
+        );
+      }
 
       // Add security headers
-      for (let i = 0; i < files.length; i++) {
-        if (files[i]) {
-          formData.append("image", files[i]);
-        }
+      const newFiles = files.filter(isNewImage);
+      for (const file of newFiles) {
+        formData.append("image", file);
+      }
+
+      // Stored privately by the server; buyers only get signed links
+      if (patternAvailable && patternFile) {
+        formData.append("patternFile", patternFile);
+      }
+
+      // Final image order: kept images by filename, uploads by position
+      if (isEditing) {
+        formData.append(
+          "imageOrder",
+          JSON.stringify(
+            files
+              .filter(Boolean)
+              .map((slot) => (isNewImage(slot) ? { upload: newFiles.indexOf(slot) } : { existing: slot }))
+          )
+        );
       }
 
-      const { data } = await axios.post("/api/product/add-product", formData, {
+      const request = {
         headers: {
           'Content-Type': 'multipart/form-data',
           'X-Requested-With': 'XMLHttpRequest'
         },
-        timeout: 30000 // 30 second timeout
-      });
+        timeout: patternFile ? 120000 : 30000 // pattern PDFs can be large
+      };
+      const { data } = isEditing
+        ? await axios.put(`/api/product/${productId}`, formData, request)
+        : await axios.post("/api/product/add-product", formData, request);
       
       if (data.success) {
-        toast.success("🧶 Velvoria product added successfully!");
-        // Reset form
-        resetForm();
+        if (isEditing) {
+          toast.success("🧶 Product updated successfully!");
+          fetchProducts({ all: true });
+          navigate("/seller/products");
+        } else {
+          toast.success("🧶 Velvoria product added successfully!");
+          // Reset form
+          resetForm();
+        }
       } else {
-        toast.error(data.message || "Failed to add product");
+        toast.error(data.message || (isEditing ? "Failed to update product" : "Failed to add product"));
       }
     } catch (error) {
       if (error.code === 'ECONNABORTED') {
         toast.error("Request timeout. Please try again.");
       } else {
-        toast.error(error.response?.data?.message || "Failed to add product");
+        toast.error(error.response?.data?.message || (isEditing ? "Failed to update product" : "Failed to add product"));
       }
-      console.error("Add product error:", error);
+      console.error("Save product error:", error);
     } finally {
       setLoading(false);
     }
   };
 
+  // Preload the form with the product being edited
+  const loadProduct = async () => {
+    try {
+      setLoadingProduct(true);
+      const [{ data }, historyResponse] = await Promise.all([
+        axios.get(`/api/product/${productId}`, { params: { includeArchived: true } }),
+        axios.get(`/api/product/${productId}/history`).catch(() => null),
+      ]);
+
+      if (!data.success || !data.product) {
+        toast.error(data.message || "Product not found");
+        navigate("/seller/products");
+        return;
+      }
+
+      const product = data.product;
+      setOriginalProduct(product);
+      setFiles(product.image || []);
+      setName(product.name || "");
+      setDescription(parseJSON(product.description, []).join("\n"));
+      setCategory(product.category || "");
+      setPrice(String(product.price ?? ""));
+      setOfferPrice(String(product.offerPrice ?? ""));
+      const productMaterials = parseJSON(product.materials, []);
+      setMaterials(productMaterials.length > 0 ? productMaterials : [""]);
+      setCareInstructions(product.careInstructions || "");
+      setSkillLevel(product.skillLevel || "Intermediate");
+      setWeight(String(product.weight ?? ""));
+      setDimensions({ length: "", width: "", height: "", ...parseJSON(product.dimensions, {}) });
+      setPatternAvailable(Boolean(product.patternAvailable));
+      setPatternPrice(String(product.patternPrice ?? ""));
+      setPatternFile(null);
+      setStock(String(product.stock ?? ""));
+      setTags(Array.isArray(product.tags) ? product.tags.join(", ") : product.tags || "");
+      setHsnCode(product.hsnCode || "");
+      setGstRate(String(product.gstRate ?? ""));
+
+      const productOptions = product.options || [];
+      setVariantsEnabled(productOptions.length > 0);
+      setOptionInputs(
+        productOptions.length > 0
+          ? productOptions.map((option) => ({ name: option.name, values: option.values.join(", ") }))
+          : [{ name: "Colour", values: "" }]
+      );
+      setVariants(
+        (product.variants || []).map((variant) => ({
+          ...variant,
+          sku: variant.sku || "",
+          price: String(variant.price ?? ""),
+          offerPrice: String(variant.offerPrice ?? ""),
+          stock: String(variant.stock ?? ""),
+          imageIndexes: variant.imageIndexes || [],
+        }))
+      );
+
+      setHistory(historyResponse?.data?.success ? historyResponse.data.history : []);
+    } catch (error) {
+      console.error("Load product error:", error);
+      toast.error("Failed to load product");
+    } finally {
+      setLoadingProduct(false);
+    }
+  };
+
+  // Stored images are served by the backend; new files preview locally
+  const imagePreview = (slot) => {
+    if (!isNewImage(slot)) return `${axios.defaults.baseURL || ""}/images/${slot}`;
+    if (!previewUrls.current.has(slot)) previewUrls.current.set(slot, URL.createObjectURL(slot));
+    return previewUrls.current.get(slot);
+  };
+
+  useEffect(() => {
+    for (const [file, url] of previewUrls.current) {
+      if (!files.includes(file)) {
+        URL.revokeObjectURL(url);
+        previewUrls.current.delete(file);
+      }
+    }
+  }, [files]);
+
+  useEffect(() => {
+    const urls = previewUrls.current;
+    return () => {
+      urls.forEach((url) => URL.revokeObjectURL(url));
+      urls.clear();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (productId) {
+      loadProduct();
+    } else {
+      resetForm();
+    }
+  }, [productId]);
+
+  // Move an image one slot left or right; slot 1 is the cover image
+  const moveImage = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target > 3) return;
+    const updatedFiles = [...files];
+    [updatedFiles[index], updatedFiles[target]] = [updatedFiles[target] ?? null, updatedFiles[index] ?? null];
+    setFiles(updatedFiles);
+    setVariants(
+      variants.map((variant) => ({
+        ...variant,
+        imageIndexes: variant.imageIndexes
+          .map((slot) => (slot === index ? target : slot === target ? index : slot))
+          .sort(),
+      }))
+    );
+  };
+
   const resetForm = () => {
     setName("");
     setDescription("");
@@ -120,11 +399,75 @@ const AddProduct = () => {
     setCareInstructions("");
     setSkillLevel("Intermediate");
     setWeight("");
-    setDimensions({ length: "", width: "" });
+    setDimensions({ length: "", width: "", height: "" });
     setPatternAvailable(false);
     setPatternPrice("");
+    setPatternFile(null);
     setStock("");
     setTags("");
+    setHsnCode("");
+    setGstRate("");
+    setVariantsEnabled(false);
+    setOptionInputs([{ name: "Colour", values: "" }]);
+    setVariants([]);
+    setOriginalProduct(null);
+    setHistory([]);
+  };
+
+  const updateOptions = (nextInputs) => {
+    setOptionInputs(nextInputs);
+    setVariants(buildVariants(parseOptions(nextInputs), variants));
+  };
+
+  const updateOption = (index, field, value) => {
+    updateOptions(optionInputs.map((option, i) => (i === index ? { ...option, [field]: value } : option)));
+  };
+
+  const addOption = () => {
+    if (optionInputs.length < MAX_OPTION_AXES) {
+      updateOptions([...optionInputs, { ...EMPTY_OPTION }]);
+    } else {
+      toast.error(`Maximum ${MAX_OPTION_AXES} options allowed`);
+    }
+  };
+
+  const removeOption = (index) => {
+    updateOptions(optionInputs.filter((_, i) => i !== index));
+  };
+
+  const openStockAdjust = (variant = null) =>
+    setStockItem({
+      productId,
+      variantId: variant?.id || null,
+      name: variant ? `${name} - ${getVariantLabel(variant)}` : name,
+      sku: variant ? variantSku(variant) : baseSku,
+      currentStock: parseInt(variant ? variant.stock : stock) || 0,
+    });
+
+  const handleStockRecorded = (data) => {
+    if (stockItem.variantId) {
+      updateVariant(stockItem.variantId, "stock", String(data.stock));
+    } else {
+      setStock(String(data.stock));
+    }
+    setStockItem(null);
+    fetchProducts({ all: true });
+  };
+
+  const updateVariant = (id, field, value) => {
+    setVariants(variants.map((variant) => (variant.id === id ? { ...variant, [field]: value } : variant)));
+  };
+
+  const toggleVariantImage = (id, imageIndex) => {
+    setVariants(
+      variants.map((variant) => {
+        if (variant.id !== id) return variant;
+        const imageIndexes = variant.imageIndexes.includes(imageIndex)
+          ? variant.imageIndexes.filter((i) => i !== imageIndex)
+          : [...variant.imageIndexes, imageIndex].sort();
+        return { ...variant, imageIndexes };
+      })
+    );
   };
 
   const addMaterial = () => {
@@ -153,8 +496,14 @@ const AddProduct = () => {
         <div className="bg-gradient-to-r from-purple-600 to-blue-600 text-white p-6 rounded-t-lg">
           <div className="flex justify-between items-center">
             <div>
-              <h1 className="text-2xl font-bold">Add New Velvoria Creation</h1>
-              <p className="text-purple-100 mt-1">Secure product addition with validation</p>
+              <h1 className="text-2xl font-bold">
+                {isEditing ? "Edit Velvoria Creation" : "Add New Velvoria Creation"}
+              </h1>
+              <p className="text-purple-100 mt-1">
+                {isEditing
+                  ? originalProduct?.name || "Loading product..."
+                  : "Secure product addition with validation"}
+              </p>
             </div>
             <div className="bg-green-500 text-white px-3 py-1 rounded-full text-sm font-medium">
               🔒 Secure
@@ -162,6 +511,12 @@ const AddProduct = () => {
           </div>
         </div>
 
+        {loadingProduct && (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="p-6 space-y-8">
           {/* Image Upload Section with Security */}
           <div className="border-b border-gray-200 pb-8">
@@ -194,14 +549,47 @@ const AddProduct = () => {
                     {files[index] ? (
                       <div className="relative h-full w-full">
                         <img
-                          src={URL.createObjectURL(files[index])}
+                          src={imagePreview(files[index])}
                           alt="Preview"
                           className="h-full w-full object-cover rounded-lg"
                         />
+                        {index === 0 && (
+                          <span className="absolute bottom-1 left-1 bg-black/60 text-white text-xs px-2 py-0.5 rounded">
+                            Cover
+                          </span>
+                        )}
+                        <div className="absolute bottom-1 right-1 flex gap-1">
+                          {index > 0 && (
+                            <button
+                              type="button"
+                              onClick={(e) => {
+                                e.preventDefault();
+                                moveImage(index, -1);
+                              }}
+                              className="bg-white/90 text-gray-700 rounded w-6 h-6 text-xs shadow"
+                              title="Move left"
+                            >
+                              ◀
+                            </button>
+                          )}
+                          {index < 3 && (
+                            <button
+                              type="button"
+                              onClick={(e) => {
+                                e.preventDefault();
+                                moveImage(index, 1);
+                              }}
+                              className="bg-white/90 text-gray-700 rounded w-6 h-6 text-xs shadow"
+                              title="Move right"
+                            >
+                              ▶
+                            </button>
+                          )}
+                        </div>
                         <button
                           type="button"
                           onClick={(e) => {
-                            e.stopPropagation();
+                            e.preventDefault();
                             const updatedFiles = [...files];
                             updatedFiles[index] = null;
                             setFiles(updatedFiles);
@@ -303,13 +691,24 @@ const AddProduct = () => {
               <label className="block text-sm font-medium text-gray-700 mb-2">📦 Stock Quantity *</label>
               <input
                 type="number"
-                value={stock}
+                value={variantsEnabled ? variantStockTotal : stock}
                 onChange={(e) => setStock(e.target.value)}
                 placeholder="50"
                 min="0"
-                className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                required
+                disabled={variantsEnabled || stockLocked()}
+                className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent disabled:bg-gray-100"
+                required={!variantsEnabled}
               />
+              {variantsEnabled && <p className="text-xs text-gray-500 mt-1">Total of all variants</p>}
+              {stockLocked() && (
+                <button
+                  type="button"
+                  onClick={() => openStockAdjust()}
+                  className="text-xs text-purple-600 hover:text-purple-700 mt-1"
+                >
+                  Adjust stock (recorded in the stock ledger)
+                </button>
+              )}
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">⚖️ Weight (grams)</label>
@@ -334,6 +733,193 @@ const AddProduct = () => {
             </div>
           )}
 
+          {/* GST */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">🧾 HSN Code</label>
+              <input
+                type="text"
+                inputMode="numeric"
+                value={hsnCode}
+                onChange={(e) => setHsnCode(e.target.value.replace(/\D/g, "").slice(0, 8))}
+                placeholder="e.g., 6117"
+                className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">Printed on invoices; leave empty to use the store default</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">📊 GST Rate</label>
+              <select
+                value={gstRate}
+                onChange={(e) => setGstRate(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              >
+                <option value="">Store default (Settings &gt; Tax)</option>
+                {GST_RATES.map((rate) => (
+                  <option key={rate} value={rate}>{rate}%</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Variants */}
+          <div className="border-t border-gray-200 pt-8">
+            <div className="flex items-center gap-3 mb-4">
+              <input
+                type="checkbox"
+                checked={variantsEnabled}
+                onChange={(e) => setVariantsEnabled(e.target.checked)}
+                className="w-4 h-4 text-purple-600 focus:ring-purple-500"
+              />
+              <label className="text-sm font-medium text-gray-700">🎨 This creation comes in different colours, sizes or other options</label>
+            </div>
+
+            {variantsEnabled && (
+              <div className="space-y-6">
+                <div className="space-y-3">
+                  {optionInputs.map((option, index) => (
+                    <div key={index} className="grid grid-cols-1 md:grid-cols-[1fr_2fr_auto] gap-3">
+                      <input
+                        type="text"
+                        value={option.name}
+                        onChange={(e) => updateOption(index, "name", e.target.value)}
+                        placeholder="Option, e.g. Size"
+                        className="border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-purple-500"
+                        maxLength={30}
+                      />
+                      <input
+                        type="text"
+                        value={option.values}
+                        onChange={(e) => updateOption(index, "values", e.target.value)}
+                        placeholder="Values separated by commas, e.g. Small, Medium, Large"
+                        className="border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-purple-500"
+                      />
+                      {optionInputs.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => removeOption(index)}
+                          className="bg-red-100 text-red-600 px-3 py-2 rounded-lg hover:bg-red-200 transition duration-300"
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  {optionInputs.length < MAX_OPTION_AXES && (
+                    <button
+                      type="button"
+                      onClick={addOption}
+                      className="bg-purple-100 text-purple-600 px-4 py-2 rounded-lg hover:bg-purple-200 transition duration-300 flex items-center gap-2"
+                    >
+                      <span>+</span>
+                      Add Another Option
+                    </button>
+                  )}
+                </div>
+
+                {variants.length > 0 && (
+                  <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                    <table className="w-full text-sm">
+                      <thead className="bg-gray-50 text-gray-700 text-left">
+                        <tr>
+                          <th className="px-3 py-2 font-semibold">Variant</th>
+                          <th className="px-3 py-2 font-semibold">SKU</th>
+                          <th className="px-3 py-2 font-semibold">Price (₹)</th>
+                          <th className="px-3 py-2 font-semibold">Offer (₹)</th>
+                          <th className="px-3 py-2 font-semibold">Stock *</th>
+                          <th className="px-3 py-2 font-semibold">Images</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {variants.map((variant) => (
+                          <tr key={variant.id} className="border-t border-gray-100">
+                            <td className="px-3 py-2 font-medium text-gray-800 whitespace-nowrap">{getVariantLabel(variant)}</td>
+                            <td className="px-3 py-2">
+                              <input
+                                type="text"
+                                value={variant.sku}
+                                onChange={(e) => updateVariant(variant.id, "sku", e.target.value)}
+                                placeholder={generateSku(baseSku, variant.options)}
+                                className="w-36 border border-gray-300 rounded px-2 py-1 uppercase"
+                                maxLength={40}
+                              />
+                            </td>
+                            <td className="px-3 py-2">
+                              <input
+                                type="number"
+                                value={variant.price}
+                                onChange={(e) => updateVariant(variant.id, "price", e.target.value)}
+                                placeholder={price || "Same"}
+                                min="1"
+                                className="w-24 border border-gray-300 rounded px-2 py-1"
+                              />
+                            </td>
+                            <td className="px-3 py-2">
+                              <input
+                                type="number"
+                                value={variant.offerPrice}
+                                onChange={(e) => updateVariant(variant.id, "offerPrice", e.target.value)}
+                                placeholder={offerPrice || "Same"}
+                                min="1"
+                                className="w-24 border border-gray-300 rounded px-2 py-1"
+                              />
+                            </td>
+                            <td className="px-3 py-2">
+                              {stockLocked(variant) ? (
+                                <div className="flex items-center gap-2">
+                                  <span className="w-10 text-gray-800">{variant.stock || 0}</span>
+                                  <button
+                                    type="button"
+                                    onClick={() => openStockAdjust(variant)}
+                                    className="text-xs text-purple-600 hover:text-purple-700"
+                                  >
+                                    Adjust
+                                  </button>
+                                </div>
+                              ) : (
+                                <input
+                                  type="number"
+                                  value={variant.stock}
+                                  onChange={(e) => updateVariant(variant.id, "stock", e.target.value)}
+                                  placeholder="0"
+                                  min="0"
+                                  className="w-20 border border-gray-300 rounded px-2 py-1"
+                                />
+                              )}
+                            </td>
+                            <td className="px-3 py-2">
+                              <div className="flex gap-1">
+                                {files.map((file, imageIndex) =>
+                                  file ? (
+                                    <button
+                                      type="button"
+                                      key={imageIndex}
+                                      onClick={() => toggleVariantImage(variant.id, imageIndex)}
+                                      className={`w-7 h-7 rounded border text-xs ${
+                                        variant.imageIndexes.includes(imageIndex)
+                                          ? "bg-purple-600 text-white border-purple-600"
+                                          : "border-gray-300 text-gray-600"
+                                      }`}
+                                    >
+                                      {imageIndex + 1}
+                                    </button>
+                                  ) : null
+                                )}
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 px-3 py-2 bg-gray-50">
+                      Leave prices blank to use the product prices. Pick the images that show each variant; none means all images.
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
           {/* Crochet Specifications */}
           <div className="border-t border-gray-200 pt-8">
             <h3 className="text-lg font-semibold text-gray-800 mb-4">🧶 Velvoria Specifications</h3>
@@ -352,7 +938,7 @@ const AddProduct = () => {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">📏 Dimensions (inches)</label>
-                <div className="grid grid-cols-2 gap-3">
+                <div className="grid grid-cols-3 gap-3">
                   <input
                     type="number"
                     value={dimensions.length}
@@ -369,6 +955,14 @@ const AddProduct = () => {
                     min="1"
                     className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
                   />
+                  <input
+                    type="number"
+                    value={dimensions.height}
+                    onChange={(e) => setDimensions({...dimensions, height: e.target.value})}
+                    placeholder="Height"
+                    min="1"
+                    className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                  />
                 </div>
               </div>
             </div>
@@ -464,6 +1058,36 @@ const AddProduct = () => {
                     className="w-full border border-gray-300 rounded-lg px-4 py-3 focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Pattern PDF</label>
+                  <input
+                    type="file"
+                    accept="application/pdf,.pdf"
+                    onChange={(e) => {
+                      const file = e.target.files[0];
+                      if (!file) return;
+                      if (file.type !== "application/pdf") {
+                        toast.error("Pattern must be a PDF file");
+                        e.target.value = "";
+                        return;
+                      }
+                      if (file.size > MAX_PATTERN_FILE_SIZE) {
+                        toast.error("Pattern PDF is too large. Maximum size is 20MB.");
+                        e.target.value = "";
+                        return;
+                      }
+                      setPatternFile(file);
+                    }}
+                    className="w-full text-sm text-gray-600 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-purple-50 file:text-purple-700 hover:file:bg-purple-100"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {patternFile
+                      ? `📄 ${patternFile.name}`
+                      : originalProduct?.patternFileName
+                      ? `📄 Current file: ${originalProduct.patternFileName} - choose a new PDF to replace it`
+                      : "Buyers get an expiring download link after payment"}
+                  </p>
+                </div>
               </div>
             )}
           </div>
@@ -491,25 +1115,71 @@ const AddProduct = () => {
               {loading ? (
                 <>
                   <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                  Adding Product...
+                  {isEditing ? "Saving Changes..." : "Adding Product..."}
                 </>
               ) : (
                 <>
                   <span>🧶</span>
-                  Add Velvoria Product
+                  {isEditing ? "Save Changes" : "Add Velvoria Product"}
                 </>
               )}
             </button>
             <button
               type="button"
-              onClick={resetForm}
+              onClick={isEditing ? loadProduct : resetForm}
               className="bg-gray-300 text-gray-700 px-8 py-4 rounded-lg hover:bg-gray-400 transition duration-300"
             >
-              Reset Form
+              {isEditing ? "Discard Changes" : "Reset Form"}
             </button>
           </div>
         </form>
       </div>
+
+      {/* Stock Adjustment */}
+      {stockItem && (
+        <StockMovementModal item={stockItem} onClose={() => setStockItem(null)} onRecorded={handleStockRecorded} />
+      )}
+
+      {/* Change History */}
+      {isEditing && (
+        <div className="max-w-4xl mx-auto mt-6 bg-white rounded-lg shadow-lg border border-purple-100 p-6">
+          <h3 className="text-lg font-semibold text-gray-800 mb-4">🕘 Change History</h3>
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes recorded yet.</p>
+          ) : (
+            <ol className="space-y-4">
+              {history.map((entry) => {
+                const action = HISTORY_ACTIONS[entry.action] || HISTORY_ACTIONS.updated;
+                return (
+                  <li key={entry._id} className="border-l-2 border-purple-200 pl-4">
+                    <p className="text-sm font-medium text-gray-800">
+                      {action.icon} {action.label}
+                      <span className="ml-2 font-normal text-gray-500">
+                        {new Date(entry.changedAt).toLocaleString()}
+                        {entry.changedBy ? ` by ${entry.changedBy}` : ""}
+                      </span>
+                    </p>
+                    {entry.changes?.length > 0 && (
+                      <ul className="mt-2 space-y-1 text-sm text-gray-600">
+                        {entry.changes.map((change) => (
+                          <li key={change.field}>
+                            <span className="font-medium text-gray-700">
+                              {PRODUCT_HISTORY_FIELDS[change.field] || change.field}:
+                            </span>{" "}
+                            <span className="line-through text-gray-400">{formatHistoryValue(change.from)}</span>
+                            {" → "}
+                            <span>{formatHistoryValue(change.to)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,547 @@
+// Coupons.jsx
+import { useState, useEffect } from "react";
+import { useAppContext } from "../../context/AppContext";
+import { toast } from "react-hot-toast";
+import { categories } from "../../assets/assets";
+
+// An empty number field is kept as "" so validateForm can reject it
+const toNumber = (value, parse = parseFloat) => (value === "" ? "" : parse(value));
+
+// Expiry dates are whole days: a coupon is valid until that day ends
+const getExpiryEnd = (expiresAt) => new Date(`${String(expiresAt).slice(0, 10)}T23:59:59.999`);
+
+const emptyCoupon = {
+  code: "",
+  description: "",
+  type: "percentage",
+  value: 10,
+  maxDiscount: "",
+  buyQuantity: 2,
+  getQuantity: 1,
+  minCartValue: 0,
+  perUserLimit: 1,
+  usageLimit: "",
+  categories: [],
+  expiresAt: "",
+  active: true
+};
+
+const couponTypes = {
+  percentage: { label: "Percentage Off", icon: "%" },
+  flat: { label: "Flat Amount Off", icon: "₹" },
+  free_shipping: { label: "Free Shipping", icon: "🚚" },
+  buy_x_get_y: { label: "Buy X Get Y", icon: "🎁" }
+};
+
+const Coupons = () => {
+  const { axios } = useAppContext();
+  const [coupons, setCoupons] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyCoupon);
+
+  const fetchCoupons = async () => {
+    try {
+      setLoading(true);
+      const { data } = await axios.get("/api/admin/coupons");
+      if (data.success) {
+        setCoupons(data.coupons || []);
+      } else {
+        toast.error(data.message || "Error loading coupons");
+      }
+    } catch (error) {
+      console.error("Coupons error:", error);
+      toast.error("Error loading coupons");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyCoupon);
+    setShowModal(true);
+  };
+
+  const openEdit = (coupon) => {
+    setEditingId(coupon._id);
+    setForm({
+      ...emptyCoupon,
+      ...coupon,
+      maxDiscount: coupon.maxDiscount ?? "",
+      usageLimit: coupon.usageLimit ?? "",
+      expiresAt: coupon.expiresAt ? coupon.expiresAt.slice(0, 10) : ""
+    });
+    setShowModal(true);
+  };
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleCategory = (path) => {
+    setForm(prev => ({
+      ...prev,
+      categories: prev.categories.includes(path)
+        ? prev.categories.filter(c => c !== path)
+        : [...prev.categories, path]
+    }));
+  };
+
+  const validateForm = () => {
+    if (!/^[A-Z0-9_-]{3,20}$/.test(form.code)) {
+      toast.error("Code must be 3-20 letters, numbers, dashes or underscores");
+      return false;
+    }
+    if (form.type !== "buy_x_get_y" && !Number.isFinite(form.value)) {
+      toast.error("Enter a discount value");
+      return false;
+    }
+    if (form.type === "percentage" && (form.value <= 0 || form.value > 100)) {
+      toast.error("Percentage must be between 1 and 100");
+      return false;
+    }
+    if (form.type === "flat" && form.value <= 0) {
+      toast.error("Flat discount must be greater than 0");
+      return false;
+    }
+    if (
+      form.type === "buy_x_get_y" &&
+      !(Number.isInteger(form.buyQuantity) && form.buyQuantity >= 1 && Number.isInteger(form.getQuantity) && form.getQuantity >= 1)
+    ) {
+      toast.error("Buy and get quantities must be at least 1");
+      return false;
+    }
+    if (form.expiresAt && getExpiryEnd(form.expiresAt) < new Date()) {
+      toast.error("Expiry date cannot be in the past");
+      return false;
+    }
+    return true;
+  };
+
+  const saveCoupon = async () => {
+    if (!validateForm()) return;
+
+    const payload = {
+      ...form,
+      maxDiscount: form.maxDiscount === "" ? null : Number(form.maxDiscount),
+      usageLimit: form.usageLimit === "" ? null : Number(form.usageLimit),
+      expiresAt: form.expiresAt || null
+    };
+
+    try {
+      setSaving(true);
+      const { data } = editingId
+        ? await axios.put(`/api/admin/coupons/${editingId}`, payload)
+        : await axios.post("/api/admin/coupons", payload);
+
+      if (data.success) {
+        toast.success(editingId ? "Coupon updated" : "Coupon created");
+        setShowModal(false);
+        fetchCoupons();
+      } else {
+        toast.error(data.message || "Error saving coupon");
+      }
+    } catch (error) {
+      console.error("Save coupon error:", error);
+      toast.error(error.response?.data?.message || "Error saving coupon");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (coupon) => {
+    try {
+      const { data } = await axios.put(`/api/admin/coupons/${coupon._id}`, { active: !coupon.active });
+      if (data.success) {
+        toast.success(`Coupon ${coupon.active ? "deactivated" : "activated"}`);
+        setCoupons(prev => prev.map(c =>
+          c._id === coupon._id ? { ...c, active: !coupon.active } : c
+        ));
+      }
+    } catch (error) {
+      console.error("Update coupon error:", error);
+      toast.error("Error updating coupon");
+    }
+  };
+
+  const deleteCoupon = async (coupon) => {
+    if (!window.confirm(`Delete coupon ${coupon.code}?`)) return;
+
+    try {
+      const { data } = await axios.delete(`/api/admin/coupons/${coupon._id}`);
+      if (data.success) {
+        toast.success("Coupon deleted");
+        setCoupons(prev => prev.filter(c => c._id !== coupon._id));
+      }
+    } catch (error) {
+      console.error("Delete coupon error:", error);
+      toast.error("Error deleting coupon");
+    }
+  };
+
+  const describeCoupon = (coupon) => {
+    switch (coupon.type) {
+      case "percentage":
+        return `${coupon.value}% off${coupon.maxDiscount ? ` (up to ₹${coupon.maxDiscount})` : ""}`;
+      case "flat":
+        return `₹${coupon.value} off`;
+      case "free_shipping":
+        return "Free shipping";
+      case "buy_x_get_y":
+        return `Buy ${coupon.buyQuantity} get ${coupon.getQuantity} free`;
+      default:
+        return coupon.type;
+    }
+  };
+
+  const isExpired = (coupon) => Boolean(coupon.expiresAt) && getExpiryEnd(coupon.expiresAt) < new Date();
+
+  const stats = {
+    active: coupons.filter(c => c.active && !isExpired(c)).length,
+    expired: coupons.filter(isExpired).length,
+    redemptions: coupons.reduce((sum, c) => sum + (c.usedCount || 0), 0)
+  };
+
+  useEffect(() => {
+    fetchCoupons();
+  }, []);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Coupons & Promo Codes</h1>
+          <p className="text-gray-600 mt-1">Create discount codes customers can apply at checkout</p>
+        </div>
+        <button
+          onClick={openCreate}
+          className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 transition duration-300"
+        >
+          🏷️ Create Coupon
+        </button>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white p-6 rounded-lg shadow border text-center border-l-4 border-green-500">
+          <div className="text-2xl font-bold text-green-600">{stats.active}</div>
+          <div className="text-sm text-gray-600">Active Coupons</div>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow border text-center border-l-4 border-gray-400">
+          <div className="text-2xl font-bold text-gray-600">{stats.expired}</div>
+          <div className="text-sm text-gray-600">Expired</div>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow border text-center border-l-4 border-purple-500">
+          <div className="text-2xl font-bold text-purple-600">{stats.redemptions}</div>
+          <div className="text-sm text-gray-600">Total Redemptions</div>
+        </div>
+      </div>
+
+      {/* Coupons Table */}
+      <div className="bg-white rounded-lg shadow border overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Discount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rules</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Usage</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {loading ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-8 text-center text-gray-500">Loading coupons...</td>
+                </tr>
+              ) : (
+                coupons.map((coupon) => (
+                  <tr key={coupon._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4">
+                      <div className="font-mono font-semibold text-gray-800">{coupon.code}</div>
+                      {coupon.description && (
+                        <div className="text-xs text-gray-500">{coupon.description}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-800">
+                      <span className="mr-2">{couponTypes[coupon.type]?.icon}</span>
+                      {describeCoupon(coupon)}
+                    </td>
+                    <td className="px-6 py-4 text-xs text-gray-600 space-y-1">
+                      {coupon.minCartValue > 0 && <p>Min cart ₹{coupon.minCartValue}</p>}
+                      <p>{coupon.perUserLimit ? `${coupon.perUserLimit} per customer` : "Unlimited per customer"}</p>
+                      {coupon.categories?.length > 0 && <p>Only: {coupon.categories.join(", ")}</p>}
+                      {coupon.expiresAt && <p>Expires {getExpiryEnd(coupon.expiresAt).toLocaleDateString()}</p>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-800">
+                      {coupon.usedCount || 0}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ""}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        isExpired(coupon)
+                          ? "bg-gray-100 text-gray-800"
+                          : coupon.active
+                            ? "bg-green-100 text-green-800"
+                            : "bg-yellow-100 text-yellow-800"
+                      }`}>
+                        {isExpired(coupon) ? "expired" : coupon.active ? "active" : "inactive"}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => openEdit(coupon)}
+                          className="bg-blue-100 text-blue-600 px-3 py-1 rounded text-sm hover:bg-blue-200 transition duration-300"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => toggleActive(coupon)}
+                          className="bg-yellow-100 text-yellow-600 px-3 py-1 rounded text-sm hover:bg-yellow-200 transition duration-300"
+                        >
+                          {coupon.active ? "Pause" : "Activate"}
+                        </button>
+                        <button
+                          onClick={() => deleteCoupon(coupon)}
+                          className="bg-red-100 text-red-600 px-3 py-1 rounded text-sm hover:bg-red-200 transition duration-300"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {coupons.length === 0 && !loading && (
+          <div className="text-center py-12">
+            <div className="w-16 h-16 bg-purple-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <span className="text-2xl">🏷️</span>
+            </div>
+            <p className="text-gray-500">No coupons yet</p>
+            <p className="text-sm text-gray-400 mt-1">Create your first promo code to get started</p>
+          </div>
+        )}
+      </div>
+
+      {/* Create / Edit Coupon Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-6 rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              {editingId ? "Edit Coupon" : "Create New Coupon"}
+            </h3>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Code</label>
+                  <input
+                    type="text"
+                    value={form.code}
+                    onChange={(e) => handleChange("code", e.target.value.toUpperCase().replace(/\s/g, ""))}
+                    placeholder="WELCOME10"
+                    maxLength={20}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+                  <select
+                    value={form.type}
+                    onChange={(e) => handleChange("type", e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                  >
+                    {Object.entries(couponTypes).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+                <input
+                  type="text"
+                  value={form.description}
+                  onChange={(e) => handleChange("description", e.target.value)}
+                  placeholder="Shown to customers when applied"
+                  maxLength={100}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+
+              {form.type === "percentage" && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Discount (%)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="100"
+                      value={form.value}
+                      onChange={(e) => handleChange("value", toNumber(e.target.value))}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Max Discount (₹)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={form.maxDiscount}
+                      onChange={(e) => handleChange("maxDiscount", e.target.value)}
+                      placeholder="No cap"
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                    />
+                  </div>
+                </div>
+              )}
+
+              {form.type === "flat" && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Discount (₹)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.value}
+                    onChange={(e) => handleChange("value", toNumber(e.target.value))}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+              )}
+
+              {form.type === "buy_x_get_y" && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Buy Quantity</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={form.buyQuantity}
+                      onChange={(e) => handleChange("buyQuantity", toNumber(e.target.value, parseInt))}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Get Free</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={form.getQuantity}
+                      onChange={(e) => handleChange("getQuantity", toNumber(e.target.value, parseInt))}
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Min Cart (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.minCartValue}
+                    onChange={(e) => handleChange("minCartValue", parseFloat(e.target.value) || 0)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Per Customer</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.perUserLimit}
+                    onChange={(e) => handleChange("perUserLimit", parseInt(e.target.value) || 0)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Total Uses</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.usageLimit}
+                    onChange={(e) => handleChange("usageLimit", e.target.value)}
+                    placeholder="∞"
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Applies to Categories <span className="text-gray-400 font-normal">(none = whole cart)</span>
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {categories.map((cat) => (
+                    <button
+                      key={cat.path}
+                      type="button"
+                      onClick={() => toggleCategory(cat.path)}
+                      className={`px-3 py-1 rounded-full text-xs border transition duration-300 ${
+                        form.categories.includes(cat.path)
+                          ? "bg-purple-600 text-white border-purple-600"
+                          : "bg-white text-gray-600 border-gray-300 hover:border-purple-400"
+                      }`}
+                    >
+                      {cat.text}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 items-end">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Expires On</label>
+                  <input
+                    type="date"
+                    value={form.expiresAt}
+                    onChange={(e) => handleChange("expiresAt", e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+                <div className="flex items-center gap-3 pb-2">
+                  <input
+                    type="checkbox"
+                    checked={form.active}
+                    onChange={(e) => handleChange("active", e.target.checked)}
+                    className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                  />
+                  <label className="text-sm font-medium text-gray-700">Active</label>
+                </div>
+              </div>
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={saveCoupon}
+                disabled={saving || !form.code.trim()}
+                className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition duration-300"
+              >
+                {saving ? "Saving..." : editingId ? "Save Coupon" : "Create Coupon"}
+              </button>
+              <button
+                onClick={() => setShowModal(false)}
+                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 transition duration-300"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Coupons;
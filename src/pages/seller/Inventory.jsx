@@ -2,6 +2,11 @@
 import { useState, useEffect } from "react";
 import { useAppContext } from "../../context/AppContext";
 import { toast } from "react-hot-toast";
+import { getVariantLabel } from "../../utils/variants";
+import { DEFAULT_LOW_STOCK_THRESHOLD, getStockLevel, getStockThreshold } from "../../utils/lowStock";
+import { MOVEMENT_TYPES, getMovementEffect, withBalances } from "../../utils/stockLedger";
+import { downloadFile } from "../../utils/download";
+import StockMovementModal, { recordStockMovement } from "../../components/seller/StockMovementModal";
 
 const Inventory = () => {
   const { axios, products, fetchProducts } = useAppContext();
@@ -12,13 +17,19 @@ const Inventory = () => {
   const [showRestockModal, setShowRestockModal] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [restockQuantity, setRestockQuantity] = useState("");
+  const [alerts, setAlerts] = useState([]);
+  const [historyRow, setHistoryRow] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  // Settings > Notifications; items without their own alert level use it
+  const [storeThreshold, setStoreThreshold] = useState(DEFAULT_LOW_STOCK_THRESHOLD);
 
 const fetchInventory = async () => {
   try {
     setLoading(true);
     const { data } = await axios.get("/api/admin/inventory");
     if (data.success) {
-      setInventory(data.inventory);
+      setInventory(expandVariants(data.inventory));
     } else {
       // Fallback to products data with proper defaults
       const inventoryData = products.map(product => ({
@@ -26,15 +37,17 @@ const fetchInventory = async () => {
         name: product.name || 'Unknown Product',
         sku: product.sku || `CR-${(product.category || 'uncategorized').toUpperCase().substring(0, 3)}-${product._id.toString().substring(0, 4)}`,
         category: product.category || 'uncategorized',
-        currentStock: product.stock || Math.floor(Math.random() * 50),
-        lowStockThreshold: 5,
-        status: getStockStatus(product.stock || 0),
+        currentStock: product.stock ?? 0,
+        reservedStock: product.reservedStock || 0,
+        lowStockThreshold: getStockThreshold(product, null, storeThreshold),
+        status: getStockStatus(product.stock ?? 0, getStockThreshold(product, null, storeThreshold)),
         lastRestocked: product.updatedAt || new Date().toISOString(),
         cost: product.costPrice || (product.offerPrice || 0) * 0.4,
         price: product.offerPrice || 0,
-        image: product.image?.[0]
+        image: product.image?.[0],
+        variants: product.variants
       }));
-      setInventory(inventoryData);
+      setInventory(expandVariants(inventoryData));
     }
   } catch (error) {
     console.error("Inventory error:", error);
@@ -44,38 +57,145 @@ const fetchInventory = async () => {
   }
 };
 
-  const getStockStatus = (stock) => {
-    if (stock === 0) return "Out of Stock";
-    if (stock <= 5) return "Low Stock";
-    return "In Stock";
+  const getStockStatus = (stock, threshold) =>
+    ({ out: "Out of Stock", low: "Low Stock", ok: "In Stock" })[getStockLevel(stock, threshold)];
+
+  const fetchStoreThreshold = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/settings");
+      if (data.success) {
+        setStoreThreshold(data.settings.notifications?.lowStockAlert ?? DEFAULT_LOW_STOCK_THRESHOLD);
+      }
+    } catch (error) {
+      console.error("Settings fetch error:", error);
+    }
+  };
+
+  // Reorder suggestions from the server's low-stock check, based on recent sales
+  const fetchAlerts = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/inventory/alerts");
+      if (data.success) {
+        setAlerts(data.alerts || []);
+      }
+    } catch (error) {
+      console.error("Inventory alerts error:", error);
+    }
+  };
+
+  // Products with variants are stocked per variant, so each gets its own row
+  const expandVariants = (items) =>
+    items.flatMap((item) =>
+      item.variants?.length
+        ? item.variants.map((variant) => {
+            const variantStock = Number(variant.stock) || 0;
+            const threshold = getStockThreshold({ lowStockThreshold: item.lowStockThreshold }, variant, storeThreshold);
+            return {
+              ...item,
+              id: `${item.id}:${variant.id}`,
+              productId: item.id,
+              variantId: variant.id,
+              name: `${item.name} - ${getVariantLabel(variant)}`,
+              sku: variant.sku || item.sku,
+              currentStock: variantStock,
+              reservedStock: Number(variant.reservedStock) || 0,
+              lowStockThreshold: threshold,
+              status: getStockStatus(variantStock, threshold),
+              price: Number(variant.offerPrice || variant.price) || item.price,
+              variants: undefined,
+            };
+          })
+        : [{ ...item, productId: item.id, variantId: null }]
+    );
+
+  const refreshAfterMovement = (row) => {
+    fetchInventory();
+    fetchAlerts();
+    fetchProducts({ all: true }); // Refresh products list
+    if (historyRow?.id === row.id) fetchMovements(row);
+  };
+
+  const recordMovement = async (row, movement) => {
+    const data = await recordStockMovement(axios, row, movement);
+    if (data) {
+      refreshAfterMovement(row);
+    } else {
+      // Stock may have moved since the page loaded
+      fetchInventory();
+    }
+  };
+
+  const fetchMovements = async (row) => {
+    try {
+      setHistoryLoading(true);
+      const { data } = await axios.get(`/api/admin/inventory/${row.productId}/movements`, {
+        params: { variantId: row.variantId || undefined },
+      });
+      if (data.success) {
+        setMovements(withBalances(data.movements || []).reverse());
+      } else {
+        toast.error(data.message || "Failed to load stock history");
+      }
+    } catch (error) {
+      console.error("Stock history error:", error);
+      toast.error("Failed to load stock history");
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const openHistory = (row) => {
+    setHistoryRow(row);
+    setMovements([]);
+    fetchMovements(row);
+  };
+
+  // The whole ledger, or one item's movements when a row is given
+  const exportLedger = async (row) => {
+    try {
+      const response = await axios.get("/api/admin/inventory/movements/export", {
+        params: { productId: row?.productId, variantId: row?.variantId || undefined },
+        responseType: "blob",
+      });
+      const date = new Date().toISOString().slice(0, 10);
+      const name = row ? `velvoria-stock-${(row.sku || row.productId).toLowerCase()}` : "velvoria-stock-ledger";
+      downloadFile(response.data, `${name}-${date}.csv`);
+    } catch (error) {
+      console.error("Ledger export error:", error);
+      toast.error("Failed to export stock ledger");
+    }
   };
 
-  const updateStock = async (productId, newStock) => {
+  // Per-item alert level; blank falls back to the product, then the store setting
+  const updateThreshold = async (row, value) => {
+    const lowStockThreshold = value === "" ? null : Math.max(0, parseInt(value) || 0);
+    if (lowStockThreshold === row.lowStockThreshold) return;
+
     try {
-      const { data } = await axios.put(`/api/admin/inventory/${productId}`, { 
-        stock: newStock 
+      const { data } = await axios.put(`/api/admin/inventory/${row.productId}`, {
+        lowStockThreshold,
+        variantId: row.variantId || undefined,
       });
       if (data.success) {
-        toast.success("Stock updated successfully");
+        toast.success("Alert level updated");
         fetchInventory();
-        fetchProducts(); // Refresh products list
+        fetchAlerts();
+      } else {
+        toast.error(data.message || "Failed to update alert level");
       }
     } catch (error) {
-      // Fallback: Update local state
-      setInventory(prev => prev.map(item => 
-        item.id === productId 
-          ? { ...item, currentStock: newStock, status: getStockStatus(newStock) }
-          : item
-      ));
-      toast.success("Stock updated locally");
+      console.error("Threshold update error:", error);
+      toast.error("Failed to update alert level");
     }
   };
 
-  const handleRestock = async () => {
-    if (!selectedProduct || !restockQuantity) return;
-    
-    const newStock = selectedProduct.currentStock + parseInt(restockQuantity);
-    await updateStock(selectedProduct.id, newStock);
+  const openRestock = (row, quantity = "") => {
+    setSelectedProduct(row);
+    setRestockQuantity(quantity);
+    setShowRestockModal(true);
+  };
+
+  const closeRestock = () => {
     setShowRestockModal(false);
     setSelectedProduct(null);
     setRestockQuantity("");
@@ -105,7 +225,12 @@ const filteredInventory = inventory.filter(item => {
 
   useEffect(() => {
     fetchInventory();
-  }, [products]);
+  }, [products, storeThreshold]);
+
+  useEffect(() => {
+    fetchStoreThreshold();
+    fetchAlerts();
+  }, []);
 
   return (
     <div className="p-6 space-y-6">
@@ -115,17 +240,26 @@ const filteredInventory = inventory.filter(item => {
           <h1 className="text-2xl font-bold text-gray-800">Inventory Management</h1>
           <p className="text-gray-600 mt-1">Manage your velvoria product stock levels and inventory</p>
         </div>
-        <button 
-          onClick={() => {
-            setSelectedProduct(null);
-            setRestockQuantity("");
-            setShowRestockModal(true);
-          }}
-          className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 transition duration-300 flex items-center gap-2"
-        >
-          <span>📦</span>
-          Bulk Restock
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => exportLedger()}
+            className="bg-green-600 text-white px-6 py-3 rounded-lg hover:bg-green-700 transition duration-300 flex items-center gap-2"
+          >
+            <span>📄</span>
+            Export Ledger
+          </button>
+          <button 
+            onClick={() => {
+              setSelectedProduct(null);
+              setRestockQuantity("");
+              setShowRestockModal(true);
+            }}
+            className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 transition duration-300 flex items-center gap-2"
+          >
+            <span>📦</span>
+            Bulk Restock
+          </button>
+        </div>
       </div>
 
       {/* Inventory Summary */}
@@ -152,6 +286,42 @@ const filteredInventory = inventory.filter(item => {
         </div>
       </div>
 
+      {/* Reorder Suggestions */}
+      {alerts.length > 0 && (
+        <div className="bg-white p-4 rounded-lg shadow border border-l-4 border-l-yellow-500">
+          <h2 className="font-semibold text-gray-800 mb-1">Reorder Suggestions</h2>
+          <p className="text-sm text-gray-600 mb-4">Based on the last 30 days of sales and the time it takes to make more</p>
+          <div className="divide-y divide-gray-100">
+            {alerts.map((alert) => {
+              const row = inventory.find((item) => item.id === alert.key);
+              return (
+                <div key={alert.key} className="py-3 flex flex-col md:flex-row md:items-center justify-between gap-2">
+                  <div>
+                    <p className="font-medium text-gray-900">{alert.name}</p>
+                    <p className="text-sm text-gray-600">
+                      {alert.level === "out" ? (
+                        <span className="text-red-600 font-medium">Sold out</span>
+                      ) : (
+                        `${alert.stock} left (alert at ${alert.threshold})`
+                      )}
+                      {alert.dailySales > 0 && ` · selling ${alert.dailySales}/day`}
+                      {alert.daysLeft !== null && alert.level !== "out" && ` · about ${alert.daysLeft} days left`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => row && openRestock(row, alert.suggestedQuantity)}
+                    disabled={!row}
+                    className="bg-yellow-100 text-yellow-800 px-4 py-2 rounded-lg text-sm font-medium hover:bg-yellow-200 disabled:opacity-50 transition duration-300"
+                  >
+                    Restock {alert.suggestedQuantity}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Filters and Search */}
       <div className="bg-white p-4 rounded-lg shadow border">
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -175,7 +345,10 @@ const filteredInventory = inventory.filter(item => {
             <option value="Out of Stock">Out of Stock</option>
           </select>
           <button
-            onClick={fetchInventory}
+            onClick={() => {
+              fetchInventory();
+              fetchAlerts();
+            }}
             className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition duration-300"
           >
             Refresh
@@ -199,6 +372,7 @@ const filteredInventory = inventory.filter(item => {
                   <th className="px-6 py-4 text-left text-xs font-medium text-purple-800 uppercase">Category</th>
                   <th className="px-6 py-4 text-left text-xs font-medium text-purple-800 uppercase">Stock Level</th>
                   <th className="px-6 py-4 text-left text-xs font-medium text-purple-800 uppercase">Status</th>
+                  <th className="px-6 py-4 text-left text-xs font-medium text-purple-800 uppercase">Alert At</th>
                   <th className="px-6 py-4 text-left text-xs font-medium text-purple-800 uppercase">Cost/Price</th>
                   <th className="px-6 py-4 text-left text-xs font-medium text-purple-800 uppercase">Actions</th>
                 </tr>
@@ -234,6 +408,11 @@ const filteredInventory = inventory.filter(item => {
                     <td className="px-6 py-4">
                       <div className="flex items-center gap-3">
                         <span className="font-medium text-gray-900">{item.currentStock}</span>
+                        {item.reservedStock > 0 && (
+                          <span className="text-xs text-gray-500" title="Held by checkouts awaiting payment">
+                            +{item.reservedStock} reserved
+                          </span>
+                        )}
                         <div className="w-24 bg-gray-200 rounded-full h-2">
                           <div 
                             className={`h-2 rounded-full ${
@@ -254,6 +433,16 @@ const filteredInventory = inventory.filter(item => {
                         {item.status}
                       </span>
                     </td>
+                    <td className="px-6 py-4">
+                      <input
+                        key={`${item.id}-${item.lowStockThreshold}`}
+                        type="number"
+                        min="0"
+                        defaultValue={item.lowStockThreshold ?? ""}
+                        onBlur={(e) => updateThreshold(item, e.target.value)}
+                        className="w-20 border border-gray-300 rounded px-2 py-1 text-sm focus:ring-2 focus:ring-purple-500"
+                      />
+                    </td>
                     <td className="px-6 py-4">
                       <div className="text-sm">
                         <p className="text-gray-500 line-through">Cost: ${item.cost?.toFixed(2)}</p>
@@ -263,26 +452,29 @@ const filteredInventory = inventory.filter(item => {
                     <td className="px-6 py-4">
                       <div className="flex gap-2">
                         <button
-                          onClick={() => updateStock(item.id, item.currentStock + 1)}
+                          onClick={() => recordMovement(item, { type: "restock", quantity: 1 })}
                           className="bg-green-100 text-green-600 px-3 py-1 rounded text-sm hover:bg-green-200 transition duration-300"
                         >
                           +1
                         </button>
                         <button
-                          onClick={() => updateStock(item.id, item.currentStock + 5)}
+                          onClick={() => recordMovement(item, { type: "restock", quantity: 5 })}
                           className="bg-blue-100 text-blue-600 px-3 py-1 rounded text-sm hover:bg-blue-200 transition duration-300"
                         >
                           +5
                         </button>
                         <button
-                          onClick={() => {
-                            setSelectedProduct(item);
-                            setShowRestockModal(true);
-                          }}
+                          onClick={() => openRestock(item)}
                           className="bg-purple-100 text-purple-600 px-3 py-1 rounded text-sm hover:bg-purple-200 transition duration-300"
                         >
                           Custom
                         </button>
+                        <button
+                          onClick={() => openHistory(item)}
+                          className="bg-gray-100 text-gray-600 px-3 py-1 rounded text-sm hover:bg-gray-200 transition duration-300"
+                        >
+                          History
+                        </button>
                       </div>
                     </td>
                   </tr>
@@ -305,62 +497,81 @@ const filteredInventory = inventory.filter(item => {
 
       {/* Restock Modal */}
       {showRestockModal && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white p-6 rounded-lg max-w-md w-full">
-            <h3 className="text-lg font-semibold text-gray-800 mb-4">
-              {selectedProduct ? `Restock ${selectedProduct.name}` : 'Bulk Restock'}
-            </h3>
-            
-            {selectedProduct && (
-              <div className="mb-4 p-3 bg-gray-50 rounded-lg">
-                <p className="text-sm text-gray-600">Current Stock: {selectedProduct.currentStock}</p>
-                <p className="text-sm text-gray-600">SKU: {selectedProduct.sku}</p>
-              </div>
-            )}
+        <StockMovementModal
+          item={selectedProduct}
+          initialQuantity={restockQuantity}
+          onClose={closeRestock}
+          onRecorded={() => {
+            refreshAfterMovement(selectedProduct);
+            closeRestock();
+          }}
+        />
+      )}
 
-            <div className="space-y-4">
+      {/* Movement History Drawer */}
+      {historyRow && (
+        <div className="fixed inset-0 z-50 flex justify-end">
+          <div className="absolute inset-0 bg-black bg-opacity-50" onClick={() => setHistoryRow(null)}></div>
+          <div className="relative bg-white w-full max-w-lg h-full shadow-2xl flex flex-col">
+            <div className="p-6 border-b border-gray-200 flex justify-between items-start gap-4">
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Quantity to Add
-                </label>
-                <input
-                  type="number"
-                  value={restockQuantity}
-                  onChange={(e) => setRestockQuantity(e.target.value)}
-                  placeholder="Enter quantity"
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
-                  min="1"
-                />
+                <h3 className="text-lg font-semibold text-gray-800">Stock History</h3>
+                <p className="text-sm text-gray-600">{historyRow.name}</p>
+                <p className="text-sm text-gray-500">
+                  {historyRow.currentStock} in stock{historyRow.reservedStock > 0 && ` · ${historyRow.reservedStock} reserved`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => exportLedger(historyRow)}
+                  disabled={movements.length === 0}
+                  className="bg-green-100 text-green-700 px-3 py-1 rounded text-sm hover:bg-green-200 disabled:opacity-50 transition duration-300"
+                >
+                  Export CSV
+                </button>
+                <button
+                  onClick={() => setHistoryRow(null)}
+                  className="text-gray-500 hover:text-gray-700 text-2xl transition duration-300"
+                >
+                  ✕
+                </button>
               </div>
+            </div>
 
-              {restockQuantity && (
-                <div className="p-3 bg-purple-50 rounded-lg">
-                  <p className="text-sm text-purple-700">
-                    New stock will be: {selectedProduct ? selectedProduct.currentStock + parseInt(restockQuantity) : parseInt(restockQuantity)}
-                  </p>
+            <div className="flex-1 overflow-y-auto">
+              {historyLoading ? (
+                <div className="flex justify-center items-center py-12">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
                 </div>
+              ) : movements.length === 0 ? (
+                <p className="text-center text-gray-500 py-12">No stock movements recorded yet</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {movements.map((movement, index) => {
+                    const type = MOVEMENT_TYPES[movement.type];
+                    const { stock } = getMovementEffect(movement);
+                    return (
+                      <li key={movement._id || index} className="px-6 py-4">
+                        <div className="flex items-center justify-between gap-3">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${type?.color || "bg-gray-100 text-gray-700"}`}>
+                            {type?.label || movement.type}
+                          </span>
+                          <span className={`font-semibold ${stock > 0 ? "text-green-600" : stock < 0 ? "text-red-600" : "text-gray-500"}`}>
+                            {movement.type === "sale" ? `${movement.quantity} sold` : stock > 0 ? `+${stock}` : stock}
+                          </span>
+                        </div>
+                        {movement.reason && <p className="text-sm text-gray-700 mt-2">{movement.reason}</p>}
+                        <p className="text-xs text-gray-500 mt-1">
+                          {new Date(movement.at).toLocaleString()} · {movement.actor?.name || movement.actor?.role}
+                          {movement.orderId && ` · Order #${movement.orderId.slice(-8).toUpperCase()}`}
+                          {` · ${movement.balance} after`}
+                        </p>
+                      </li>
+                    );
+                  })}
+                </ul>
               )}
             </div>
-
-            <div className="flex gap-3 mt-6">
-              <button
-                onClick={handleRestock}
-                disabled={!restockQuantity}
-                className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition duration-300"
-              >
-                Confirm Restock
-              </button>
-              <button
-                onClick={() => {
-                  setShowRestockModal(false);
-                  setSelectedProduct(null);
-                  setRestockQuantity("");
-                }}
-                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 transition duration-300"
-              >
-                Cancel
-              </button>
-            </div>
           </div>
         </div>
       )}
@@ -1,7 +1,20 @@
-// Invoices.jsx
+// Invoices.jsx - Invoices issued for paid orders, PDF downloads, payment reminders and the GST summary
 import { useState, useEffect } from "react";
 import { useAppContext } from "../../context/AppContext";
 import { toast } from "react-hot-toast";
+import { formatCurrency } from "../../utils/currency";
+import { getInvoiceFileName, getInvoiceStatus, getTaxPeriod } from "../../utils/invoices";
+import { gstSummaryToCsv, summarizeGst } from "../../utils/gst";
+import { downloadFile } from "../../utils/download";
+import TaxBreakdown from "../../components/TaxBreakdown";
+
+const STATUS_COLORS = {
+  paid: "bg-green-100 text-green-800",
+  pending: "bg-yellow-100 text-yellow-800",
+  overdue: "bg-red-100 text-red-800",
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString("en-IN") : "—");
 
 const Invoices = () => {
   const { axios } = useAppContext();
@@ -9,74 +22,85 @@ const Invoices = () => {
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState("all");
   const [selectedInvoice, setSelectedInvoice] = useState(null);
+  const [downloading, setDownloading] = useState(null);
+  const [reminding, setReminding] = useState(null);
+  const [gstMonth, setGstMonth] = useState(getTaxPeriod());
+  const [gstSummary, setGstSummary] = useState(null);
 
   const fetchInvoices = async () => {
     try {
       setLoading(true);
       const { data } = await axios.get("/api/admin/invoices");
       if (data.success) {
-        setInvoices(data.invoices);
+        setInvoices(data.invoices.map((invoice) => ({ ...invoice, status: getInvoiceStatus(invoice) })));
       } else {
-        setInvoices(generateMockInvoices());
+        toast.error(data.message || "Error loading invoices");
       }
     } catch (error) {
       console.error("Invoices error:", error);
-      toast.error("Error loading invoices");
-      setInvoices(generateMockInvoices());
+      toast.error(error.response?.data?.message || "Error loading invoices");
     } finally {
       setLoading(false);
     }
   };
-  const generateMockInvoices = () => [
-    {
-      _id: "INV-2024-001",
-      orderId: "ORD-001",
-      customer: { name: "Sarah Johnson", email: "sarah@email.com" },
-      amount: 89.99,
-      status: "paid",
-      dueDate: "2024-01-20",
-      issuedDate: "2024-01-15",
-      paidDate: "2024-01-16",
-      items: [
-        { name: "Amigurumi Bunny", quantity: 1, price: 89.99 }
-      ]
-    },
-    {
-      _id: "INV-2024-002",
-      orderId: "ORD-002",
-      customer: { name: "Mike Chen", email: "mike@email.com" },
-      amount: 156.50,
-      status: "pending",
-      dueDate: "2024-01-25",
-      issuedDate: "2024-01-18",
-      paidDate: null,
-      items: [
-        { name: "Velvoria Blanket", quantity: 1, price: 129.99 },
-        { name: "Baby Booties", quantity: 1, price: 26.51 }
-      ]
-    },
-    {
-      _id: "INV-2024-003",
-      orderId: "ORD-003",
-      customer: { name: "Emma Davis", email: "emma@email.com" },
-      amount: 45.75,
-      status: "overdue",
-      dueDate: "2024-01-10",
-      issuedDate: "2024-01-05",
-      paidDate: null,
-      items: [
-        { name: "Velvoria Scarf", quantity: 2, price: 22.87 }
-      ]
+
+  // The PDF is rendered by the server from the stored invoice
+  const downloadInvoice = async (invoice) => {
+    try {
+      setDownloading(invoice._id);
+      const { data } = await axios.get(`/api/admin/invoices/${invoice._id}/pdf`, { responseType: "blob" });
+      downloadFile(data, getInvoiceFileName(invoice));
+    } catch (error) {
+      console.error("Invoice download error:", error);
+      toast.error("Failed to download invoice");
+    } finally {
+      setDownloading(null);
     }
-  ];
+  };
 
-  const downloadInvoice = (invoice) => {
-    toast.success(`Downloading invoice ${invoice._id}`);
-    // In real implementation, this would download PDF
+  // Totalled here from the month's invoices, with the same code the server uses
+  const fetchGstSummary = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/invoices", { params: { month: gstMonth } });
+      if (data.success) {
+        setGstSummary(summarizeGst(data.invoices, gstMonth));
+      }
+    } catch (error) {
+      console.error("GST summary error:", error);
+      toast.error(error.response?.data?.message || "Error loading the GST summary");
+    }
   };
 
-  const sendReminder = (invoice) => {
-    toast.success(`Payment reminder sent for ${invoice._id}`);
+  const exportGstSummary = () => {
+    downloadFile(gstSummaryToCsv(gstSummary), `gst-summary-${gstSummary.month}.csv`, "text/csv");
+  };
+
+  // Sends a reminder now, outside the schedule. The server emails a payment
+  // link for the balance and returns the invoice with the attempt logged.
+  const sendReminder = async (invoice) => {
+    try {
+      setReminding(invoice._id);
+      const { data } = await axios.post(`/api/admin/invoices/${invoice._id}/remind`);
+      if (data.success) {
+        const updated = { ...data.invoice, status: getInvoiceStatus(data.invoice) };
+        setInvoices((current) => current.map((item) => (item._id === updated._id ? updated : item)));
+        setSelectedInvoice((current) => (current?._id === updated._id ? updated : current));
+
+        const entry = updated.reminders?.[updated.reminders.length - 1];
+        if (entry?.status === "sent") {
+          toast.success(`Payment reminder sent to ${entry.to}`);
+        } else {
+          toast.error(entry?.error || "The reminder could not be sent");
+        }
+      } else {
+        toast.error(data.message || "Error sending reminder");
+      }
+    } catch (error) {
+      console.error("Reminder error:", error);
+      toast.error(error.response?.data?.message || "Error sending reminder");
+    } finally {
+      setReminding(null);
+    }
   };
 
   const filteredInvoices = invoices.filter(invoice => {
@@ -96,16 +120,17 @@ const Invoices = () => {
     fetchInvoices();
   }, []);
 
+  useEffect(() => {
+    if (gstMonth) fetchGstSummary();
+  }, [gstMonth]);
+
   return (
     <div className="p-6 space-y-6">
       <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4">
         <div>
           <h1 className="text-2xl font-bold text-gray-800">Invoice Management</h1>
-          <p className="text-gray-600 mt-1">Manage customer invoices and payments</p>
+          <p className="text-gray-600 mt-1">Invoices are issued automatically when an order is paid</p>
         </div>
-        <button className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 transition duration-300">
-          📄 Generate Invoice
-        </button>
       </div>
 
       {/* Stats */}
@@ -127,11 +152,87 @@ const Invoices = () => {
           <div className="text-sm text-gray-600">Overdue</div>
         </div>
         <div className="bg-white p-4 rounded-lg shadow border text-center">
-          <div className="text-2xl font-bold text-purple-600">${stats.totalAmount.toFixed(2)}</div>
+          <div className="text-2xl font-bold text-purple-600">{formatCurrency(stats.totalAmount)}</div>
           <div className="text-sm text-gray-600">Total Amount</div>
         </div>
       </div>
 
+      {/* GST Summary */}
+      <div className="bg-white p-4 rounded-lg shadow border space-y-4">
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+          <div>
+            <h3 className="font-semibold text-gray-800">GST Summary</h3>
+            <p className="text-sm text-gray-600">Tax collected on the month&apos;s invoices, for filing GSTR-1 and GSTR-3B</p>
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="month"
+              value={gstMonth}
+              onChange={(e) => setGstMonth(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+            />
+            <button
+              onClick={exportGstSummary}
+              disabled={!gstSummary?.invoiceCount}
+              className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition duration-300 disabled:opacity-50"
+            >
+              📊 Export CSV
+            </button>
+          </div>
+        </div>
+
+        {gstSummary && (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4 text-center">
+              {[
+                ["Invoices", gstSummary.invoiceCount],
+                ["Taxable Value", formatCurrency(gstSummary.taxableValue)],
+                ["CGST", formatCurrency(gstSummary.cgst)],
+                ["SGST / UTGST", formatCurrency(gstSummary.sgst)],
+                ["IGST", formatCurrency(gstSummary.igst)],
+                ["Total Tax", formatCurrency(gstSummary.tax)],
+              ].map(([label, value]) => (
+                <div key={label} className="bg-gray-50 rounded-lg p-3">
+                  <div className="font-bold text-gray-800">{value}</div>
+                  <div className="text-xs text-gray-600">{label}</div>
+                </div>
+              ))}
+            </div>
+
+            {gstSummary.byHsn.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="py-2 pr-4">HSN</th>
+                      <th className="py-2 pr-4">Rate</th>
+                      <th className="py-2 pr-4">Quantity</th>
+                      <th className="py-2 pr-4">Taxable Value</th>
+                      <th className="py-2 pr-4">CGST</th>
+                      <th className="py-2 pr-4">SGST / UTGST</th>
+                      <th className="py-2 pr-4">IGST</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {gstSummary.byHsn.map((row) => (
+                      <tr key={`${row.hsnCode}-${row.rate}`}>
+                        <td className="py-2 pr-4 font-mono">{row.hsnCode || "—"}</td>
+                        <td className="py-2 pr-4">{row.rate}%</td>
+                        <td className="py-2 pr-4">{row.quantity}</td>
+                        <td className="py-2 pr-4">{formatCurrency(row.taxableValue)}</td>
+                        <td className="py-2 pr-4">{formatCurrency(row.cgst)}</td>
+                        <td className="py-2 pr-4">{formatCurrency(row.sgst)}</td>
+                        <td className="py-2 pr-4">{formatCurrency(row.igst)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
       {/* Filters */}
       <div className="bg-white p-4 rounded-lg shadow border">
         <div className="flex flex-col md:flex-row gap-4 items-center">
@@ -178,8 +279,8 @@ const Invoices = () => {
                   <tr key={invoice._id} className="hover:bg-purple-50 transition duration-300">
                     <td className="px-6 py-4">
                       <div>
-                        <p className="font-medium text-gray-900">{invoice._id}</p>
-                        <p className="text-sm text-gray-500">Order: {invoice.orderId}</p>
+                        <p className="font-medium text-gray-900">{invoice.number}</p>
+                        <p className="text-sm text-gray-500">Order: #{invoice.orderId?.slice(-8).toUpperCase()}</p>
                       </div>
                     </td>
                     <td className="px-6 py-4">
@@ -189,39 +290,45 @@ const Invoices = () => {
                       </div>
                     </td>
                     <td className="px-6 py-4">
-                      <p className="font-semibold text-gray-900">${invoice.amount.toFixed(2)}</p>
+                      <p className="font-semibold text-gray-900">{formatCurrency(invoice.amount)}</p>
+                      {invoice.balanceDue > 0 && (
+                        <p className="text-xs text-gray-500">{formatCurrency(invoice.balanceDue)} due</p>
+                      )}
                     </td>
                     <td className="px-6 py-4">
-                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${
-                        invoice.status === "paid" ? "bg-green-100 text-green-800" :
-                        invoice.status === "pending" ? "bg-yellow-100 text-yellow-800" :
-                        "bg-red-100 text-red-800"
-                      }`}>
+                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${STATUS_COLORS[invoice.status]}`}>
                         {invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)}
                       </span>
                     </td>
                     <td className="px-6 py-4">
                       <p className="text-sm text-gray-900">
-                        {new Date(invoice.dueDate).toLocaleDateString()}
+                        {invoice.status === "paid" ? `Paid ${formatDate(invoice.paidDate)}` : formatDate(invoice.dueDate)}
                       </p>
                       {invoice.status === "overdue" && (
                         <p className="text-xs text-red-600">Overdue</p>
                       )}
+                      {invoice.reminders?.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                          {invoice.reminders.filter((entry) => entry.status === "sent").length} reminder(s) sent
+                        </p>
+                      )}
                     </td>
                     <td className="px-6 py-4">
                       <div className="flex gap-2">
                         <button
                           onClick={() => downloadInvoice(invoice)}
-                          className="bg-blue-100 text-blue-600 px-3 py-1 rounded text-sm hover:bg-blue-200 transition duration-300"
+                          disabled={downloading === invoice._id}
+                          className="bg-blue-100 text-blue-600 px-3 py-1 rounded text-sm hover:bg-blue-200 transition duration-300 disabled:opacity-50"
                         >
-                          Download
+                          {downloading === invoice._id ? "Downloading..." : "Download"}
                         </button>
-                        {invoice.status !== "paid" && (
+                        {invoice.balanceDue > 0 && (
                           <button
                             onClick={() => sendReminder(invoice)}
-                            className="bg-orange-100 text-orange-600 px-3 py-1 rounded text-sm hover:bg-orange-200 transition duration-300"
+                            disabled={reminding === invoice._id}
+                            className="bg-orange-100 text-orange-600 px-3 py-1 rounded text-sm hover:bg-orange-200 transition duration-300 disabled:opacity-50"
                           >
-                            Remind
+                            {reminding === invoice._id ? "Sending..." : "Remind"}
                           </button>
                         )}
                         <button
@@ -245,7 +352,7 @@ const Invoices = () => {
               <span className="text-2xl">📄</span>
             </div>
             <p className="text-gray-500">No invoices found</p>
-            <p className="text-sm text-gray-400 mt-1">Customer invoices will appear here</p>
+            <p className="text-sm text-gray-400 mt-1">An invoice appears here as soon as an order is paid</p>
           </div>
         )}
       </div>
@@ -269,16 +376,16 @@ const Invoices = () => {
               <div className="grid grid-cols-2 gap-6">
                 <div>
                   <h4 className="font-semibold text-gray-800">Invoice Information</h4>
-                  <p className="text-sm text-gray-600">ID: {selectedInvoice._id}</p>
-                  <p className="text-sm text-gray-600">Order: {selectedInvoice.orderId}</p>
+                  <p className="text-sm text-gray-600">Number: {selectedInvoice.number}</p>
+                  <p className="text-sm text-gray-600">Order: #{selectedInvoice.orderId?.slice(-8).toUpperCase()}</p>
+                  <p className="text-sm text-gray-600">Financial Year: {selectedInvoice.financialYear}</p>
+                  {selectedInvoice.placeOfSupply && (
+                    <p className="text-sm text-gray-600">Place of Supply: {selectedInvoice.placeOfSupply.name}</p>
+                  )}
                 </div>
                 <div className="text-right">
                   <h4 className="font-semibold text-gray-800">Status</h4>
-                  <span className={`px-3 py-1 rounded-full text-sm font-medium ${
-                    selectedInvoice.status === "paid" ? "bg-green-100 text-green-800" :
-                    selectedInvoice.status === "pending" ? "bg-yellow-100 text-yellow-800" :
-                    "bg-red-100 text-red-800"
-                  }`}>
+                  <span className={`px-3 py-1 rounded-full text-sm font-medium ${STATUS_COLORS[selectedInvoice.status]}`}>
                     {selectedInvoice.status.charAt(0).toUpperCase() + selectedInvoice.status.slice(1)}
                   </span>
                 </div>
@@ -289,6 +396,9 @@ const Invoices = () => {
                 <h4 className="font-semibold text-gray-800 mb-2">Customer</h4>
                 <p className="text-gray-600">{selectedInvoice.customer.name}</p>
                 <p className="text-gray-600">{selectedInvoice.customer.email}</p>
+                {selectedInvoice.customer.address?.map((line) => (
+                  <p key={line} className="text-sm text-gray-500">{line}</p>
+                ))}
               </div>
 
               {/* Items */}
@@ -299,31 +409,111 @@ const Invoices = () => {
                     <div key={index} className="flex justify-between items-center p-3 bg-gray-50 rounded">
                       <div>
                         <p className="font-medium text-gray-800">{item.name}</p>
-                        <p className="text-sm text-gray-600">Qty: {item.quantity}</p>
+                        {item.variantLabel && <p className="text-sm text-gray-500">{item.variantLabel}</p>}
+                        <p className="text-sm text-gray-600">Qty: {item.quantity} × {formatCurrency(item.price)}</p>
                       </div>
-                      <p className="font-semibold text-gray-800">${item.price.toFixed(2)}</p>
+                      <p className="font-semibold text-gray-800">{formatCurrency(item.amount)}</p>
                     </div>
                   ))}
                 </div>
               </div>
 
               {/* Total */}
-              <div className="border-t pt-4">
-                <div className="flex justify-between items-center text-lg font-bold">
+              <div className="border-t pt-4 space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Subtotal</span>
+                  <span>{formatCurrency(selectedInvoice.subtotal)}</span>
+                </div>
+                {selectedInvoice.discount > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Discount</span>
+                    <span className="text-green-600">-{formatCurrency(selectedInvoice.discount)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Shipping</span>
+                  <span>{formatCurrency(selectedInvoice.shipping)}</span>
+                </div>
+                <TaxBreakdown
+                  taxLines={selectedInvoice.taxLines}
+                  tax={selectedInvoice.tax}
+                  pricesIncludeTax={selectedInvoice.pricesIncludeTax}
+                  format={formatCurrency}
+                />
+                <div className="flex justify-between items-center text-lg font-bold border-t pt-2">
                   <span>Total Amount:</span>
-                  <span>${selectedInvoice.amount.toFixed(2)}</span>
+                  <span>{formatCurrency(selectedInvoice.amount)}</span>
                 </div>
               </div>
 
+              {/* Payments */}
+              <div>
+                <h4 className="font-semibold text-gray-800 mb-2">Payments</h4>
+                <div className="space-y-2">
+                  {selectedInvoice.payments.map((payment, index) => (
+                    <div key={index} className="flex justify-between items-center p-3 bg-gray-50 rounded text-sm">
+                      <div>
+                        <p className="font-medium text-gray-800">{payment.label}</p>
+                        {payment.reference && <p className="text-gray-500 font-mono">{payment.reference}</p>}
+                      </div>
+                      <p className="font-semibold text-green-600">{formatCurrency(payment.amount)}</p>
+                    </div>
+                  ))}
+                  {selectedInvoice.balanceDue > 0 && (
+                    <div className="flex justify-between p-3 bg-yellow-50 rounded text-sm">
+                      <span className="font-medium text-gray-800">Balance due</span>
+                      <span className="font-semibold">{formatCurrency(selectedInvoice.balanceDue)}</span>
+                    </div>
+                  )}
+                </div>
+              </div>
+
+              {/* Reminders */}
+              {selectedInvoice.reminders?.length > 0 && (
+                <div>
+                  <h4 className="font-semibold text-gray-800 mb-2">Payment Reminders</h4>
+                  <div className="space-y-2">
+                    {selectedInvoice.reminders.map((entry) => (
+                      <div key={entry.attempt} className="flex justify-between items-start p-3 bg-gray-50 rounded text-sm">
+                        <div>
+                          <p className="font-medium text-gray-800">
+                            #{entry.attempt} · {new Date(entry.at).toLocaleString("en-IN")}
+                            {entry.manual && <span className="text-gray-500 font-normal"> (sent manually)</span>}
+                          </p>
+                          <p className="text-gray-500">{entry.to || "No email address"}</p>
+                          {entry.status === "sent" ? (
+                            <a
+                              href={entry.paymentLinkUrl}
+                              target="_blank"
+                              rel="noreferrer"
+                              className="text-purple-600 hover:underline break-all"
+                            >
+                              {entry.paymentLinkUrl}
+                            </a>
+                          ) : (
+                            <p className="text-red-600">{entry.error}</p>
+                          )}
+                        </div>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                          entry.status === "sent" ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+                        }`}>
+                          {entry.status}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Dates */}
               <div className="grid grid-cols-2 gap-4 text-sm">
                 <div>
-                  <p className="text-gray-600">Issued: {new Date(selectedInvoice.issuedDate).toLocaleDateString()}</p>
-                  <p className="text-gray-600">Due: {new Date(selectedInvoice.dueDate).toLocaleDateString()}</p>
+                  <p className="text-gray-600">Issued: {formatDate(selectedInvoice.issuedDate)}</p>
+                  {selectedInvoice.dueDate && <p className="text-gray-600">Due: {formatDate(selectedInvoice.dueDate)}</p>}
                 </div>
                 {selectedInvoice.paidDate && (
                   <div>
-                    <p className="text-gray-600">Paid: {new Date(selectedInvoice.paidDate).toLocaleDateString()}</p>
+                    <p className="text-gray-600">Paid: {formatDate(selectedInvoice.paidDate)}</p>
                   </div>
                 )}
               </div>
@@ -332,10 +522,20 @@ const Invoices = () => {
             <div className="flex gap-3 mt-6 pt-6 border-t">
               <button
                 onClick={() => downloadInvoice(selectedInvoice)}
-                className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 transition duration-300"
+                disabled={downloading === selectedInvoice._id}
+                className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 transition duration-300 disabled:opacity-50"
               >
-                Download PDF
+                {downloading === selectedInvoice._id ? "Downloading..." : "Download PDF"}
               </button>
+              {selectedInvoice.balanceDue > 0 && (
+                <button
+                  onClick={() => sendReminder(selectedInvoice)}
+                  disabled={reminding === selectedInvoice._id}
+                  className="flex-1 bg-orange-500 text-white py-2 rounded-lg hover:bg-orange-600 transition duration-300 disabled:opacity-50"
+                >
+                  {reminding === selectedInvoice._id ? "Sending..." : "Send Reminder"}
+                </button>
+              )}
               <button
                 onClick={() => setSelectedInvoice(null)}
                 className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 transition duration-300"
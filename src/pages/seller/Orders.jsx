@@ -1,12 +1,19 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { AppContext } from '../../context/AppContext';
 import toast from 'react-hot-toast';
+import { CARRIERS } from '../../utils/orderTracking';
+import { canTransition, getNextStatuses, normalizeStatus } from '../../utils/orderLifecycle';
+import OrderStatusBadge, { getStatusColor, getStatusIcon } from '../../components/OrderStatus';
+import TaxBreakdown from '../../components/TaxBreakdown';
+
+// Shipping needs a tracking number, so it only goes through the tracking form
+const getStatusOptions = (order) => getNextStatuses(order).filter(status => status !== 'Shipped');
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedOrder, setSelectedOrder] = useState(null);
-  const [statusUpdate, setStatusUpdate] = useState('');
+  const [statusUpdates, setStatusUpdates] = useState({});
   const [trackingModal, setTrackingModal] = useState(false);
   const [trackingInfo, setTrackingInfo] = useState({
     trackingNumber: '',
@@ -38,7 +45,13 @@ const Orders = () => {
     }
   };
 
+  // The server checks the change against the order lifecycle and returns
+  // the order with its side effects applied (refund, COD balance, invoice)
   const updateOrderStatus = async (orderId, newStatus) => {
+    if (newStatus === 'Cancelled' && !window.confirm('Cancel this order? Stock is released and any online payment is refunded.')) {
+      return;
+    }
+
     try {
       const { data } = await axios.put(`/api/orders/${orderId}/status`, {
         status: newStatus
@@ -47,30 +60,33 @@ const Orders = () => {
       if (data.success) {
         toast.success('Order status updated successfully!');
         setOrders(prev => prev.map(order => 
-          order._id === orderId ? { ...order, status: newStatus } : order
+          order._id === orderId ? data.order : order
         ));
-        setStatusUpdate('');
+        setStatusUpdates(prev => ({ ...prev, [orderId]: '' }));
       } else {
         toast.error(data.message || 'Failed to update status');
       }
     } catch (error) {
       console.error('Error updating order status:', error);
-      toast.error('Failed to update order status');
+      toast.error(error.response?.data?.message || 'Failed to update order status');
     }
   };
 
-  const addTrackingInfo = async (orderId) => {
+  // Adding tracking ships the order. Like a status update, the server runs
+  // it through the lifecycle and returns the order as saved.
+  const addTrackingInfo = async (order) => {
+    if (!canTransition(order.status, 'Shipped', 'seller')) {
+      toast.error(`A ${normalizeStatus(order.status)} order cannot be shipped`);
+      return;
+    }
+
     try {
-      const { data } = await axios.put(`/api/orders/${orderId}/tracking`, trackingInfo);
+      const { data } = await axios.put(`/api/orders/${order._id}/tracking`, trackingInfo);
 
       if (data.success) {
         toast.success('Tracking information added!');
-        setOrders(prev => prev.map(order => 
-          order._id === orderId ? { 
-            ...order, 
-            tracking: trackingInfo,
-            status: 'Shipped'
-          } : order
+        setOrders(prev => prev.map(item => 
+          item._id === order._id ? data.order : item
         ));
         setTrackingModal(false);
         setTrackingInfo({
@@ -83,29 +99,7 @@ const Orders = () => {
       }
     } catch (error) {
       console.error('Error adding tracking info:', error);
-      toast.error('Failed to add tracking information');
-    }
-  };
-
-  const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'delivered': return 'bg-green-100 text-green-800 border-green-200';
-      case 'shipped': return 'bg-blue-100 text-blue-800 border-blue-200';
-      case 'processing': return 'bg-yellow-100 text-yellow-800 border-yellow-200';
-      case 'cancelled': return 'bg-red-100 text-red-800 border-red-200';
-      case 'order placed': return 'bg-purple-100 text-purple-800 border-purple-200';
-      default: return 'bg-gray-100 text-gray-800 border-gray-200';
-    }
-  };
-
-  const getStatusIcon = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'delivered': return '✅';
-      case 'shipped': return '🚚';
-      case 'processing': return '🔄';
-      case 'cancelled': return '❌';
-      case 'order placed': return '📦';
-      default: return '📋';
+      toast.error(error.response?.data?.message || 'Failed to add tracking information');
     }
   };
 
@@ -120,14 +114,6 @@ const Orders = () => {
     });
   };
 
-  const statusOptions = [
-    'Order Placed',
-    'Processing',
-    'Shipped',
-    'Delivered',
-    'Cancelled'
-  ];
-
   useEffect(() => {
     fetchOrders();
   }, []);
@@ -166,8 +152,8 @@ const Orders = () => {
               <div className="p-6 border-b border-gray-200 bg-gradient-to-r from-gray-50 to-white">
                 <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
                   <div className="flex items-center space-x-4">
-                    <div className={`w-12 h-12 rounded-xl flex items-center justify-center text-xl border ${getStatusColor(order.status)}`}>
-                      {getStatusIcon(order.status)}
+                    <div className={`w-12 h-12 rounded-xl flex items-center justify-center text-xl border ${getStatusColor(normalizeStatus(order.status))}`}>
+                      {getStatusIcon(normalizeStatus(order.status))}
                     </div>
                     <div>
                       <h3 className="font-semibold text-gray-900 text-lg">
@@ -185,9 +171,7 @@ const Orders = () => {
                   </div>
                   
                   <div className="flex items-center space-x-4">
-                    <span className={`px-3 py-2 rounded-full text-sm font-medium border ${getStatusColor(order.status)}`}>
-                      {order.status || 'Order Placed'}
-                    </span>
+                    <OrderStatusBadge status={normalizeStatus(order.status)} className="px-3 py-2 text-sm" />
                     <p className="text-2xl font-bold text-purple-600">
                       ₹{order.totalAmount?.toFixed(2) || order.amount?.toFixed(2) || '0.00'}
                     </p>
@@ -245,27 +229,33 @@ const Orders = () => {
                         <label className="block text-sm font-medium text-gray-700 mb-2">
                           Update Status
                         </label>
-                        <select
-                          value={statusUpdate}
-                          onChange={(e) => setStatusUpdate(e.target.value)}
-                          className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent"
-                        >
-                          <option value="">Select new status</option>
-                          {statusOptions.map(option => (
-                            <option key={option} value={option}>{option}</option>
-                          ))}
-                        </select>
-                        <button
-                          onClick={() => updateOrderStatus(order._id, statusUpdate)}
-                          disabled={!statusUpdate}
-                          className="w-full mt-2 bg-purple-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                        >
-                          Update Status
-                        </button>
+                        {getStatusOptions(order).length > 0 ? (
+                          <>
+                            <select
+                              value={statusUpdates[order._id] || ''}
+                              onChange={(e) => setStatusUpdates(prev => ({ ...prev, [order._id]: e.target.value }))}
+                              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent"
+                            >
+                              <option value="">Select new status</option>
+                              {getStatusOptions(order).map(option => (
+                                <option key={option} value={option}>{option}</option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={() => updateOrderStatus(order._id, statusUpdates[order._id])}
+                              disabled={!statusUpdates[order._id]}
+                              className="w-full mt-2 bg-purple-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                            >
+                              Update Status
+                            </button>
+                          </>
+                        ) : (
+                          <p className="text-sm text-gray-500">No further status changes</p>
+                        )}
                       </div>
 
                       {/* Tracking Information */}
-                      {order.status === 'Processing' && (
+                      {canTransition(order.status, 'Shipped', 'seller') && (
                         <button
                           onClick={() => {
                             setSelectedOrder(order);
@@ -456,10 +446,18 @@ const Orders = () => {
                     <span className="text-gray-600">Subtotal</span>
                     <span>₹{selectedOrder.amount?.toFixed(2)}</span>
                   </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Tax</span>
-                    <span>₹{selectedOrder.taxAmount?.toFixed(2) || '0.00'}</span>
-                  </div>
+                  <TaxBreakdown
+                    taxLines={selectedOrder.taxLines}
+                    tax={selectedOrder.taxAmount}
+                    pricesIncludeTax={selectedOrder.gst?.pricesIncludeTax}
+                    format={(amount) => `₹${(amount || 0).toFixed(2)}`}
+                  />
+                  {selectedOrder.gst?.placeOfSupply && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Place of Supply</span>
+                      <span>{selectedOrder.gst.placeOfSupply.name} ({selectedOrder.gst.supplyType === 'inter' ? 'IGST' : 'CGST + SGST'})</span>
+                    </div>
+                  )}
                   <div className="flex justify-between">
                     <span className="text-gray-600">Shipping</span>
                     <span className="text-green-600">Free</span>
@@ -529,10 +527,9 @@ const Orders = () => {
                   className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-600 focus:border-transparent"
                 >
                   <option value="">Select carrier</option>
-                  <option value="DTDC">DTDC</option>
-                  <option value="Blue Dart">Blue Dart</option>
-                  <option value="Delhivery">Delhivery</option>
-                  <option value="India Post">India Post</option>
+                  {Object.keys(CARRIERS).map(carrier => (
+                    <option key={carrier} value={carrier}>{carrier}</option>
+                  ))}
                   <option value="Other">Other</option>
                 </select>
               </div>
@@ -568,7 +565,7 @@ const Orders = () => {
                 Cancel
               </button>
               <button
-                onClick={() => addTrackingInfo(selectedOrder._id)}
+                onClick={() => addTrackingInfo(selectedOrder)}
                 disabled={!trackingInfo.trackingNumber || !trackingInfo.carrier}
                 className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
               >
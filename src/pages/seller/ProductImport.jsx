@@ -0,0 +1,291 @@
+// ProductImport.jsx
+import { useState } from "react";
+import { useAppContext } from "../../context/AppContext";
+import { toast } from "react-hot-toast";
+import { IMPORT_COLUMNS, LIST_SEPARATOR, toCsv } from "../../utils/productImport";
+import { downloadFile } from "../../utils/download";
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2MB
+
+const formatOf = (fileName) => (fileName.toLowerCase().endsWith(".json") ? "json" : "csv");
+
+const ProductImport = () => {
+  const { axios, fetchProducts } = useAppContext();
+  const [file, setFile] = useState(null);
+  const [content, setContent] = useState("");
+  const [report, setReport] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [showValidRows, setShowValidRows] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    setReport(null);
+    if (!selected) return;
+
+    if (selected.size > MAX_FILE_SIZE) {
+      toast.error("File is too large. Maximum size is 2MB.");
+      e.target.value = "";
+      return;
+    }
+
+    setFile(selected);
+    setContent(await selected.text());
+  };
+
+  // Dry run: the server validates every row without saving anything
+  const validateFile = async () => {
+    if (!file) return;
+
+    try {
+      setValidating(true);
+      const { data } = await axios.post("/api/product/import", {
+        format: formatOf(file.name),
+        content,
+        dryRun: true,
+      });
+
+      if (data.success) {
+        setReport(data.report);
+      } else {
+        setReport(null);
+        toast.error(data.message || "Could not read the file");
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Validation failed");
+    } finally {
+      setValidating(false);
+    }
+  };
+
+  const importValidRows = async () => {
+    if (!report?.valid) return;
+
+    try {
+      setImporting(true);
+      const { data } = await axios.post(
+        "/api/product/import",
+        { format: formatOf(file.name), content, dryRun: false, skipInvalid: true },
+        { timeout: 120000 } // image downloads for large files take a while
+      );
+
+      if (data.success) {
+        toast.success(`Imported ${data.created} product${data.created === 1 ? "" : "s"}`);
+        if (data.failed?.length > 0) {
+          // Leave only the rows that could not be saved in the report
+          const failures = new Map(data.failed.map((failure) => [failure.row, failure.message]));
+          toast.error(`${failures.size} row(s) failed to save - see the report`);
+          setReport({
+            rows: report.rows
+              .filter((row) => failures.has(row.row))
+              .map((row) => ({ ...row, errors: [{ field: "save", message: failures.get(row.row) }] })),
+            valid: 0,
+            invalid: failures.size,
+          });
+        } else {
+          setFile(null);
+          setContent("");
+          setReport(null);
+        }
+        fetchProducts({ all: true });
+      } else {
+        toast.error(data.message || "Import failed");
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Import failed");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const exportCatalog = async (format) => {
+    try {
+      setExporting(format);
+      const response = await axios.get("/api/product/export", {
+        params: { format },
+        responseType: "blob",
+      });
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(response.data, `velvoria-catalog-${date}.${format}`);
+    } catch (error) {
+      console.error("Export error:", error);
+      toast.error("Failed to export catalog");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const downloadTemplate = () => {
+    const example = {
+      name: "Lilac Granny Square Blanket",
+      description: `Soft and cozy${LIST_SEPARATOR}Handmade with cotton yarn`,
+      category: "home-decor",
+      price: 2499,
+      offerPrice: 1999,
+      stock: 5,
+      materials: `Cotton Yarn${LIST_SEPARATOR}Acrylic`,
+      careInstructions: "Hand wash cold, lay flat to dry",
+      skillLevel: "Intermediate",
+      weight: 800,
+      length: 50,
+      width: 40,
+      height: 2,
+      patternAvailable: "true",
+      patternPrice: 299,
+      tags: `blanket${LIST_SEPARATOR}gift`,
+      imageUrls: "https://example.com/blanket-1.jpg",
+    };
+    downloadFile(
+      toCsv([IMPORT_COLUMNS, IMPORT_COLUMNS.map((column) => example[column])]),
+      "velvoria-import-template.csv",
+      "text/csv"
+    );
+  };
+
+  const visibleRows = report?.rows.filter((row) => showValidRows || row.errors.length > 0) || [];
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-800">Import & Export Products</h1>
+        <p className="text-gray-600 mt-1">Add many products at once from a CSV or JSON file, or download your catalog</p>
+      </div>
+
+      {/* Export */}
+      <div className="bg-white p-6 rounded-lg shadow border">
+        <h2 className="text-lg font-semibold text-gray-800 mb-2">📤 Export Catalog</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Exported files use the same columns as imports, so you can edit them and import them again.
+        </p>
+        <div className="flex flex-wrap gap-3">
+          {["csv", "json"].map((format) => (
+            <button
+              key={format}
+              onClick={() => exportCatalog(format)}
+              disabled={Boolean(exporting)}
+              className="bg-purple-100 text-purple-700 px-5 py-2 rounded-lg hover:bg-purple-200 transition duration-300 disabled:opacity-50 uppercase text-sm font-medium"
+            >
+              {exporting === format ? "Exporting..." : `Export ${format}`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Import */}
+      <div className="bg-white p-6 rounded-lg shadow border space-y-4">
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <h2 className="text-lg font-semibold text-gray-800">📥 Import Products</h2>
+          <button onClick={downloadTemplate} className="text-sm text-purple-600 hover:text-purple-700">
+            Download CSV template
+          </button>
+        </div>
+
+        <div className="text-sm text-gray-600 space-y-1">
+          <p>
+            Columns: <span className="font-mono text-xs">{IMPORT_COLUMNS.join(", ")}</span>
+          </p>
+          <p>
+            Separate several descriptions, materials, tags or image URLs with <span className="font-mono">{LIST_SEPARATOR}</span>.
+            Images are downloaded from the URLs when the import runs.
+          </p>
+          <p>
+            Each row's stock is recorded in the stock ledger as a correction, so imported stock shows up in the
+            item's Inventory history.
+          </p>
+        </div>
+
+        <div className="flex flex-col md:flex-row gap-3 md:items-center">
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            className="text-sm text-gray-600 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-purple-50 file:text-purple-700 hover:file:bg-purple-100"
+          />
+          <button
+            onClick={validateFile}
+            disabled={!file || validating}
+            className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {validating ? "Checking..." : "Check File"}
+          </button>
+        </div>
+
+        {/* Dry-run Report */}
+        {report && (
+          <div className="border-t border-gray-200 pt-4 space-y-4">
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
+                {report.valid} ready to import
+              </span>
+              <span className="bg-red-100 text-red-800 px-3 py-1 rounded-full text-sm font-medium">
+                {report.invalid} with errors
+              </span>
+              <label className="flex items-center gap-2 text-sm text-gray-600 ml-auto">
+                <input
+                  type="checkbox"
+                  checked={showValidRows}
+                  onChange={(e) => setShowValidRows(e.target.checked)}
+                  className="text-purple-600 focus:ring-purple-500"
+                />
+                Show valid rows
+              </label>
+            </div>
+
+            {visibleRows.length > 0 ? (
+              <div className="overflow-x-auto max-h-96 border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-purple-50 sticky top-0">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-purple-800 uppercase">Row</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-purple-800 uppercase">Product</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-purple-800 uppercase">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {visibleRows.map((row) => (
+                      <tr key={row.row}>
+                        <td className="px-4 py-2 text-gray-500 font-mono">{row.row}</td>
+                        <td className="px-4 py-2 text-gray-900">{row.product?.name || "—"}</td>
+                        <td className="px-4 py-2">
+                          {row.errors.length === 0 ? (
+                            <span className="text-green-600">✓ OK</span>
+                          ) : (
+                            <ul className="text-red-600 space-y-0.5">
+                              {row.errors.map((error, index) => (
+                                <li key={index}>
+                                  <span className="font-mono text-xs text-red-400">{error.field}</span> {error.message}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-sm text-green-700">Every row passed validation.</p>
+            )}
+
+            <div className="flex flex-wrap items-center gap-3">
+              <button
+                onClick={importValidRows}
+                disabled={!report.valid || importing}
+                className="bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {importing ? "Importing..." : `Import ${report.valid} product${report.valid === 1 ? "" : "s"}`}
+              </button>
+              {report.invalid > 0 && (
+                <p className="text-sm text-gray-500">Rows with errors are skipped. Fix them and import the file again.</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductImport;
@@ -1,14 +1,77 @@
+import { useEffect, useState } from "react";
 import toast from "react-hot-toast";
 import { useAppContext } from "../../context/AppContext";
 
 const ProductList = () => {
-  const { products, fetchProducts, axios } = useAppContext();
+  const { products, fetchProducts, axios, navigate } = useAppContext();
+  const [view, setView] = useState("active");
+  const [archivedProducts, setArchivedProducts] = useState([]);
+
+  // The storefront only loads the first page; the seller needs every product
+  useEffect(() => {
+    fetchProducts({ all: true });
+  }, []);
+
+  // Archived products are hidden from the storefront but can be restored
+  const fetchArchived = async () => {
+    try {
+      const { data } = await axios.get("/api/product/archived");
+      if (data.success) {
+        setArchivedProducts(data.products || []);
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (view === "archived") {
+      fetchArchived();
+    }
+  }, [view]);
+
+  const archiveProduct = async (product) => {
+    if (!window.confirm(`Archive "${product.name}"? It will be hidden from the shop until restored.`)) {
+      return;
+    }
+
+    try {
+      const { data } = await axios.delete(`/api/product/${product._id}`);
+      if (data.success) {
+        fetchProducts({ all: true });
+        toast.success(data.message || "Product archived");
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const restoreProduct = async (product) => {
+    try {
+      const { data } = await axios.post(`/api/product/${product._id}/restore`);
+      if (data.success) {
+        setArchivedProducts((prev) => prev.filter((item) => item._id !== product._id));
+        fetchProducts({ all: true });
+        toast.success(data.message || "Product restored");
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    }
+  };
+
+  const listedProducts = view === "archived" ? archivedProducts : products;
 
   const toggleStock = async (id, inStock) => {
     try {
       const { data } = await axios.post("/api/product/stock", { id, inStock });
       if (data.success) {
-        fetchProducts();
+        fetchProducts({ all: true });
         toast.success(data.message);
       } else {
         toast.error(data.message);
@@ -20,7 +83,22 @@ const ProductList = () => {
   return (
     <div className="flex-1 py-10 flex flex-col justify-between">
       <div className="w-full md:p-10 p-4">
-        <h2 className="pb-4 text-lg font-medium">All Products</h2>
+        <div className="flex items-center justify-between max-w-4xl pb-4">
+          <h2 className="text-lg font-medium">All Products</h2>
+          <div className="flex bg-gray-100 rounded-lg p-1 text-sm">
+            {["active", "archived"].map((option) => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-4 py-1.5 rounded-md capitalize transition-colors ${
+                  view === option ? "bg-white shadow text-gray-900" : "text-gray-500"
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+          </div>
+        </div>
         <div className="flex flex-col items-center max-w-4xl w-full overflow-hidden rounded-md bg-white border border-gray-500/20">
           <table className="md:table-auto table-fixed w-full overflow-hidden">
             <thead className="text-gray-900 text-sm text-left">
@@ -30,11 +108,14 @@ const ProductList = () => {
                 <th className="px-4 py-3 font-semibold truncate hidden md:block">
                   Selling Price
                 </th>
-                <th className="px-4 py-3 font-semibold truncate">In Stock</th>
+                {view === "active" && (
+                  <th className="px-4 py-3 font-semibold truncate">In Stock</th>
+                )}
+                <th className="px-4 py-3 font-semibold truncate">Actions</th>
               </tr>
             </thead>
             <tbody className="text-sm text-gray-500">
-              {products.map((product) => (
+              {listedProducts.map((product) => (
                 <tr key={product._id} className="border-t border-gray-500/20">
                   <td className="md:px-4 pl-2 md:pl-4 py-3 flex items-center space-x-3 truncate">
                     <div className="border border-gray-300 rounded p-2">
@@ -52,20 +133,47 @@ const ProductList = () => {
                   <td className="px-4 py-3 max-sm:hidden">
                     ${product.offerPrice}
                   </td>
+                  {view === "active" && (
+                    <td className="px-4 py-3">
+                      <label className="relative inline-flex items-center cursor-pointer text-gray-900 gap-3">
+                        <input
+                          onClick={() =>
+                            toggleStock(product._id, !product.inStock)
+                          }
+                          checked={product.inStock}
+                          type="checkbox"
+                          className="sr-only peer"
+                          defaultChecked={product.inStock}
+                        />
+                        <div className="w-12 h-7 bg-slate-300 rounded-full peer peer-checked:bg-blue-600 transition-colors duration-200"></div>
+                        <span className="dot absolute left-1 top-1 w-5 h-5 bg-white rounded-full transition-transform duration-200 ease-in-out peer-checked:translate-x-5"></span>
+                      </label>
+                    </td>
+                  )}
                   <td className="px-4 py-3">
-                    <label className="relative inline-flex items-center cursor-pointer text-gray-900 gap-3">
-                      <input
-                        onClick={() =>
-                          toggleStock(product._id, !product.inStock)
-                        }
-                        checked={product.inStock}
-                        type="checkbox"
-                        className="sr-only peer"
-                        defaultChecked={product.inStock}
-                      />
-                      <div className="w-12 h-7 bg-slate-300 rounded-full peer peer-checked:bg-blue-600 transition-colors duration-200"></div>
-                      <span className="dot absolute left-1 top-1 w-5 h-5 bg-white rounded-full transition-transform duration-200 ease-in-out peer-checked:translate-x-5"></span>
-                    </label>
+                    {view === "active" ? (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => navigate(`/seller/edit-product/${product._id}`)}
+                          className="px-3 py-1 rounded bg-purple-100 text-purple-700 hover:bg-purple-200"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => archiveProduct(product)}
+                          className="px-3 py-1 rounded bg-red-50 text-red-600 hover:bg-red-100"
+                        >
+                          Archive
+                        </button>
+                      </div>
+                    ) : (
+                      <button
+                        onClick={() => restoreProduct(product)}
+                        className="px-3 py-1 rounded bg-green-100 text-green-700 hover:bg-green-200"
+                      >
+                        Restore
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
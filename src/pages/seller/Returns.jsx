@@ -0,0 +1,242 @@
+// Returns.jsx
+import { useState, useEffect } from "react";
+import { useAppContext } from "../../context/AppContext";
+import { toast } from "react-hot-toast";
+import { formatOrderAmount } from "../../utils/currency";
+import { RETURN_STATUSES, getRefundBreakdown } from "../../utils/returns";
+
+const Returns = () => {
+  const { axios } = useAppContext();
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState("requested");
+  const [processingId, setProcessingId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectNote, setRejectNote] = useState("");
+
+  const fetchReturns = async () => {
+    try {
+      setLoading(true);
+      const { data } = await axios.get("/api/admin/returns", {
+        params: { status: filter === "all" ? undefined : filter },
+      });
+      if (data.success) {
+        setReturns(data.returns || []);
+      } else {
+        toast.error(data.message || "Error loading returns");
+      }
+    } catch (error) {
+      console.error("Returns error:", error);
+      toast.error("Error loading returns");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchReturns();
+  }, [filter]);
+
+  const replaceReturn = (updated) =>
+    setReturns((prev) =>
+      prev
+        .map((request) => (request._id === updated._id ? updated : request))
+        .filter((request) => filter === "all" || request.status === filter)
+    );
+
+  // Approving refunds the Razorpay payment for the order straight away
+  const approveReturn = async (request) => {
+    const { gatewayAmount, cashAmount } = getRefundBreakdown(request.order);
+    const message =
+      `Approve this return and refund ${formatOrderAmount(gatewayAmount, request.order)} through Razorpay?` +
+      (cashAmount > 0 ? ` The ${formatOrderAmount(cashAmount, request.order)} paid in cash must be refunded separately.` : "");
+    if (!window.confirm(message)) return;
+
+    try {
+      setProcessingId(request._id);
+      const { data } = await axios.post(`/api/admin/returns/${request._id}/approve`);
+      if (data.success) {
+        toast.success("Return approved and refund issued");
+        replaceReturn(data.returnRequest);
+      } else {
+        toast.error(data.message || "Failed to approve return");
+      }
+    } catch (error) {
+      console.error("Approve return error:", error);
+      toast.error(error.response?.data?.message || "Failed to approve return");
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const rejectReturn = async () => {
+    if (!rejectNote.trim()) return;
+
+    try {
+      setProcessingId(rejecting._id);
+      const { data } = await axios.post(`/api/admin/returns/${rejecting._id}/reject`, {
+        note: rejectNote.trim(),
+      });
+      if (data.success) {
+        toast.success("Return rejected");
+        replaceReturn(data.returnRequest);
+        setRejecting(null);
+        setRejectNote("");
+      } else {
+        toast.error(data.message || "Failed to reject return");
+      }
+    } catch (error) {
+      console.error("Reject return error:", error);
+      toast.error("Failed to reject return");
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Returns & Refunds</h1>
+          <p className="text-gray-600 mt-1">Review return requests; approved returns are refunded through Razorpay</p>
+        </div>
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="border border-gray-300 rounded-lg px-4 py-2 focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="all">All Requests</option>
+          {Object.entries(RETURN_STATUSES).map(([status, { label }]) => (
+            <option key={status} value={status}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow border overflow-hidden">
+        {loading ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+          </div>
+        ) : returns.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="w-16 h-16 bg-purple-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <span className="text-2xl">↩️</span>
+            </div>
+            <p className="text-gray-500">No return requests</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {returns.map((request) => {
+              const status = RETURN_STATUSES[request.status];
+              const { gatewayAmount, cashAmount } = getRefundBreakdown(request.order);
+              return (
+                <div key={request._id} className="p-6 flex flex-col lg:flex-row lg:items-start gap-4">
+                  <div className="flex-1 space-y-2">
+                    <div className="flex flex-wrap items-center gap-3">
+                      <h3 className="font-semibold text-gray-800">
+                        Order #{request.order?._id?.slice(-8).toUpperCase()}
+                      </h3>
+                      <span className="text-sm text-gray-500">{request.user?.name || request.user?.email}</span>
+                      <span className={`px-2 py-1 rounded-full text-xs ${status?.color}`}>{status?.label}</span>
+                      <span className="text-sm text-gray-500">{new Date(request.createdAt).toLocaleDateString()}</span>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      {request.order?.items
+                        ?.filter((item) => !item.isPattern)
+                        .map((item) => `${item.product?.name || item.name} × ${item.quantity}`)
+                        .join(", ")}
+                    </p>
+                    <p className="font-medium text-gray-800">{request.reason}</p>
+                    {request.details && <p className="text-gray-700">{request.details}</p>}
+                    {request.photos?.length > 0 && (
+                      <div className="flex gap-2">
+                        {request.photos.map((photo) => (
+                          <a key={photo} href={`http://localhost:5000/images/${photo}`} target="_blank" rel="noopener noreferrer">
+                            <img
+                              src={`http://localhost:5000/images/${photo}`}
+                              alt="Return photo"
+                              className="w-16 h-16 object-cover rounded-lg border border-gray-200"
+                            />
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                    <p className="text-sm text-gray-600">
+                      Paid online: <span className="font-medium">{formatOrderAmount(gatewayAmount, request.order)}</span>
+                      {cashAmount > 0 && (
+                        <> · Paid in cash: <span className="font-medium">{formatOrderAmount(cashAmount, request.order)}</span></>
+                      )}
+                    </p>
+                    {request.refund && (
+                      <p className="text-sm text-green-700">
+                        Refund {request.refund.id}: {formatOrderAmount(request.refund.amount, request.order)} ({request.refund.status})
+                      </p>
+                    )}
+                    {request.sellerNote && <p className="text-sm text-gray-500">Note: {request.sellerNote}</p>}
+                  </div>
+
+                  {request.status === "requested" && (
+                    <div className="flex flex-col gap-2">
+                      <button
+                        onClick={() => approveReturn(request)}
+                        disabled={processingId === request._id}
+                        className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition duration-300 text-sm disabled:opacity-50"
+                      >
+                        {processingId === request._id ? "Refunding..." : "Approve & Refund"}
+                      </button>
+                      <button
+                        onClick={() => setRejecting(request)}
+                        disabled={processingId === request._id}
+                        className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 transition duration-300 text-sm disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Reject Modal */}
+      {rejecting && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white p-6 rounded-lg max-w-md w-full">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">Reject Return</h3>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason shown to the customer</label>
+            <textarea
+              value={rejectNote}
+              onChange={(e) => setRejectNote(e.target.value)}
+              rows="4"
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+            />
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={rejectReturn}
+                disabled={!rejectNote.trim() || processingId === rejecting._id}
+                className="flex-1 bg-red-600 text-white py-2 rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition duration-300"
+              >
+                Reject Return
+              </button>
+              <button
+                onClick={() => {
+                  setRejecting(null);
+                  setRejectNote("");
+                }}
+                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg hover:bg-gray-400 transition duration-300"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Returns;
@@ -2,6 +2,7 @@
 import { useState, useEffect } from "react";
 import { useAppContext } from "../../context/AppContext";
 import { toast } from "react-hot-toast";
+import { summarizeReviews } from "../../utils/reviews";
 
 const Reviews = () => {
   const { axios } = useAppContext();
@@ -121,7 +122,7 @@ const Reviews = () => {
     total: reviews.length,
     pending: reviews.filter(r => r.status === "pending").length,
     approved: reviews.filter(r => r.status === "approved").length,
-    average: (reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length).toFixed(1)
+    average: summarizeReviews(reviews).rating.toFixed(1)
   };
 
   useEffect(() => {
@@ -172,6 +173,7 @@ const Reviews = () => {
             <option value="all">All Reviews</option>
             <option value="pending">Pending</option>
             <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
           </select>
           <button
             onClick={fetchReviews}
@@ -202,6 +204,8 @@ const Reviews = () => {
                           <span className={`px-2 py-1 rounded-full text-xs ${
                             review.status === 'approved' 
                               ? 'bg-green-100 text-green-800' 
+                              : review.status === 'rejected'
+                              ? 'bg-red-100 text-red-800'
                               : 'bg-yellow-100 text-yellow-800'
                           }`}>
                             {review.status}
@@ -217,6 +221,19 @@ const Reviews = () => {
                     </div>
 
                     <p className="text-gray-700 mt-3">{review.comment}</p>
+
+                    {review.photos?.length > 0 && (
+                      <div className="flex gap-2 mt-3">
+                        {review.photos.map((photo) => (
+                          <img
+                            key={photo}
+                            src={`http://localhost:5000/images/${photo}`}
+                            alt="Customer photo"
+                            className="w-16 h-16 object-cover rounded-lg border border-gray-200"
+                          />
+                        ))}
+                      </div>
+                    )}
                     
                     <div className="flex items-center gap-2 mt-2">
                       <span className="text-sm text-gray-500">
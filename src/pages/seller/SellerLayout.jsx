@@ -9,20 +9,27 @@ const SellerLayout = () => {
   const { isSeller, setIsSeller, axios, navigate } = useAppContext();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [notifications, setNotifications] = useState([]);
-  const [adminData, setAdminData] = useState({ name: "Admin", unreadNotifications: 0 });
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [adminData, setAdminData] = useState({ name: "Admin" });
+
+  const unreadCount = notifications.filter((notification) => !notification.read).length;
+  const unreadLowStock = notifications.filter((notification) => !notification.read && notification.type === "low_stock").length;
 
   const sidebarLinks = [
     { name: "Dashboard", path: "/seller", icon: "📊", badge: 0 },
     { name: "Accounts", path: "/seller/accounts", icon: "👥", badge: 0 },
     { name: "Orders", path: "/seller/orders", icon: "📦", badge: 0 },
+    { name: "Returns", path: "/seller/returns", icon: "↩️", badge: 0 },
     { name: "Products", path: "/seller/products", icon: "🧶", badge: 0 },
     { name: "Add Product", path: "/seller/add-product", icon: "➕", badge: 0 },
+    { name: "Import / Export", path: "/seller/import-products", icon: "📥", badge: 0 },
     { name: "Customers", path: "/seller/customers", icon: "👤", badge: 0 },
     { name: "Analytics", path: "/seller/analytics", icon: "📈", badge: 0 },
-    { name: "Inventory", path: "/seller/inventory", icon: "📋", badge: 2 },
+    { name: "Inventory", path: "/seller/inventory", icon: "📋", badge: unreadLowStock },
     { name: "Reviews", path: "/seller/reviews", icon: "⭐", badge: 5 },
     { name: "FundUsage", path: "/seller/FundUsage", icon: "💀", badge: 0 },
     { name: "AdsManagement", path: "/seller/AdsManagement", icon: "🎁", badge: 0 },
+    { name: "Coupons", path: "/seller/coupons", icon: "🏷️", badge: 0 },
     { name: "Invoices", path: "/seller/Invoices", icon: "✅", badge: 0 },
     { name: "Settings", path: "/seller/settings", icon: "⚙️", badge: 0 },
     
@@ -40,12 +47,40 @@ const fetchAdminData = async () => {
     // Use default data if API fails
     setAdminData({ 
       name: "Admin", 
-      unreadNotifications: 3,
       email: "admin@velvoriastore.com"
     });
   }
 };
 
+  // Raised by the server's scheduled checks, e.g. low stock
+  const fetchNotifications = async () => {
+    try {
+      const { data } = await axios.get("/api/admin/notifications");
+      if (data.success) {
+        setNotifications(data.notifications || []);
+      }
+    } catch (error) {
+      console.error("Failed to fetch notifications:", error);
+    }
+  };
+
+  const markNotificationsRead = async (ids) => {
+    setNotifications((prev) =>
+      prev.map((notification) => (!ids || ids.includes(notification._id) ? { ...notification, read: true } : notification))
+    );
+    try {
+      await axios.post("/api/admin/notifications/read", { ids });
+    } catch (error) {
+      console.error("Failed to mark notifications read:", error);
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.read) markNotificationsRead([notification._id]);
+    setShowNotifications(false);
+    if (notification.link) navigate(notification.link);
+  };
+
   const logout = async () => {
     try {
       const { data } = await axios.get("/api/seller/logout");
@@ -62,6 +97,9 @@ const fetchAdminData = async () => {
 
   useEffect(() => {
     fetchAdminData();
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, 5 * 60 * 1000);
+    return () => clearInterval(interval);
   }, []);
 
   return (
@@ -86,14 +124,51 @@ const fetchAdminData = async () => {
         <div className="flex items-center gap-6">
           {/* Notifications */}
           <div className="relative">
-            <button className="p-2 rounded-lg hover:bg-purple-500 transition duration-300">
+            <button
+              onClick={() => setShowNotifications(!showNotifications)}
+              className="p-2 rounded-lg hover:bg-purple-500 transition duration-300"
+            >
               <span className="text-xl">🔔</span>
-              {adminData.unreadNotifications > 0 && (
+              {unreadCount > 0 && (
                 <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full w-5 h-5 flex items-center justify-center">
-                  {adminData.unreadNotifications}
+                  {unreadCount > 9 ? "9+" : unreadCount}
                 </span>
               )}
             </button>
+            {showNotifications && (
+              <div className="absolute right-0 mt-2 w-80 bg-white text-gray-800 rounded-xl shadow-2xl border border-gray-200 z-40 overflow-hidden">
+                <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+                  <p className="font-semibold">Notifications</p>
+                  {unreadCount > 0 && (
+                    <button onClick={() => markNotificationsRead()} className="text-xs text-purple-600 hover:text-purple-700">
+                      Mark all read
+                    </button>
+                  )}
+                </div>
+                <div className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                  {notifications.length === 0 ? (
+                    <p className="px-4 py-6 text-sm text-gray-500 text-center">You're all caught up</p>
+                  ) : (
+                    notifications.map((notification) => (
+                      <button
+                        key={notification._id}
+                        onClick={() => openNotification(notification)}
+                        className={`w-full text-left px-4 py-3 hover:bg-purple-50 transition duration-300 ${
+                          notification.read ? "" : "bg-purple-50/60"
+                        }`}
+                      >
+                        <p className={`text-sm ${notification.read ? "text-gray-700" : "font-semibold text-gray-900"}`}>
+                          {notification.type === "low_stock" ? "📉 " : ""}
+                          {notification.title}
+                        </p>
+                        <p className="text-xs text-gray-600 mt-1">{notification.message}</p>
+                        <p className="text-xs text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                      </button>
+                    ))
+                  )}
+                </div>
+              </div>
+            )}
           </div>
           
           {/* Admin Profile */}
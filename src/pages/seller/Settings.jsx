@@ -2,17 +2,27 @@
 import { useState, useEffect } from "react";
 import { useAppContext } from "../../context/AppContext";
 import { toast } from "react-hot-toast";
+import { BASE_CURRENCY, CURRENCIES } from "../../utils/currency";
+import { DEFAULT_INVOICE_PREFIX, MAX_INVOICE_PREFIX_LENGTH, formatInvoiceNumber, getFinancialYear } from "../../utils/invoices";
+import { DEFAULT_RETURN_POLICY } from "../../utils/returns";
+import { DEFAULT_TAX_SETTINGS, GST_RATES, INDIAN_STATES, findState, isValidGstin } from "../../utils/gst";
+import { DEFAULT_REORDER_COVER_DAYS, DEFAULT_REORDER_LEAD_DAYS } from "../../utils/lowStock";
+import { DEFAULT_PAYMENT_LINK_EXPIRY_DAYS, DEFAULT_REMINDER_CADENCE_DAYS, parseCadenceDays } from "../../utils/dunning";
 
 const Settings = () => {
   const { axios } = useAppContext();
   const [activeTab, setActiveTab] = useState("general");
   const [loading, setLoading] = useState(false);
+  const [codCustomerEmail, setCodCustomerEmail] = useState("");
   const [settings, setSettings] = useState({
     general: {
       storeName: "Velvoria Craft Store",
       storeEmail: "hello@velvoriastore.com",
       storePhone: "+1 (555) 123-4567",
-      currency: "USD",
+      storeAddress: { street: "", city: "", state: "", pincode: "" },
+      invoicePrefix: DEFAULT_INVOICE_PREFIX,
+      currency: BASE_CURRENCY,
+      exchangeRates: {},
       timezone: "America/New_York",
       maintenanceMode: false
     },
@@ -20,6 +30,13 @@ const Settings = () => {
       stripeEnabled: true,
       paypalEnabled: true,
       codEnabled: true,
+      codAdvancePercent: 17,
+      codMaxOrderValue: 0,
+      codBlockedPincodes: [],
+      codCustomerRules: [],
+      paymentReminders: true,
+      reminderCadenceDays: DEFAULT_REMINDER_CADENCE_DAYS,
+      paymentLinkExpiryDays: DEFAULT_PAYMENT_LINK_EXPIRY_DAYS,
       stripePublicKey: "",
       stripeSecretKey: "",
       paypalClientId: ""
@@ -28,14 +45,21 @@ const Settings = () => {
       freeShippingThreshold: 50,
       domesticShipping: 5.99,
       internationalShipping: 15.99,
-      processingTime: "2-3 business days"
+      processingTime: "2-3 business days",
+      originPincode: ""
     },
+    returns: { ...DEFAULT_RETURN_POLICY },
+    tax: { ...DEFAULT_TAX_SETTINGS },
     notifications: {
       emailOrders: true,
       emailInventory: true,
       emailReviews: true,
       pushNotifications: true,
-      lowStockAlert: 5
+      lowStockAlert: 5,
+      inventoryDigest: "daily",
+      inventoryEmail: "",
+      reorderLeadDays: DEFAULT_REORDER_LEAD_DAYS,
+      reorderCoverDays: DEFAULT_REORDER_COVER_DAYS
     },
     security: {
       twoFactorAuth: false,
@@ -86,6 +110,26 @@ const Settings = () => {
     }));
   };
 
+  const addCodCustomerRule = (status) => {
+    const email = codCustomerEmail.trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      toast.error("Enter a valid customer email");
+      return;
+    }
+
+    const rules = (settings.payment.codCustomerRules || []).filter(rule => rule.email !== email);
+    handleInputChange("payment", "codCustomerRules", [...rules, { email, status }]);
+    setCodCustomerEmail("");
+  };
+
+  const removeCodCustomerRule = (email) => {
+    handleInputChange(
+      "payment",
+      "codCustomerRules",
+      (settings.payment.codCustomerRules || []).filter(rule => rule.email !== email)
+    );
+  };
+
   useEffect(() => {
     fetchSettings();
   }, []);
@@ -131,21 +175,100 @@ const Settings = () => {
         </div>
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Currency
+            Default Display Currency
           </label>
           <select
             value={settings.general.currency}
             onChange={(e) => handleInputChange("general", "currency", e.target.value)}
             className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
           >
-            <option value="USD">USD ($)</option>
-            <option value="EUR">EUR (€)</option>
-            <option value="GBP">GBP (£)</option>
-            <option value="CAD">CAD ($)</option>
+            {Object.entries(CURRENCIES).map(([code, { symbol }]) => (
+              <option key={code} value={code}>{code} ({symbol})</option>
+            ))}
           </select>
         </div>
       </div>
 
+      <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
+        <div>
+          <h5 className="font-medium text-gray-800">Invoice Details</h5>
+          <p className="text-sm text-gray-600">
+            Printed on every invoice. Invoices keep the details they were issued with.
+          </p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[
+            ["street", "Street Address"],
+            ["city", "City"],
+            ["state", "State"],
+            ["pincode", "Pincode"],
+          ].map(([field, label]) => (
+            <div key={field}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+              <input
+                type="text"
+                value={settings.general.storeAddress?.[field] || ""}
+                onChange={(e) => handleInputChange("general", "storeAddress", {
+                  ...settings.general.storeAddress,
+                  [field]: e.target.value
+                })}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              />
+            </div>
+          ))}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Invoice Number Prefix</label>
+            <input
+              type="text"
+              maxLength={MAX_INVOICE_PREFIX_LENGTH}
+              value={settings.general.invoicePrefix || ""}
+              onChange={(e) => handleInputChange("general", "invoicePrefix", e.target.value.toUpperCase())}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Numbers restart each financial year, e.g. {formatInvoiceNumber({
+                prefix: settings.general.invoicePrefix,
+                financialYear: getFinancialYear(),
+                sequence: 1
+              })}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
+        <div>
+          <h5 className="font-medium text-gray-800">Exchange Rates</h5>
+          <p className="text-sm text-gray-600">
+            Prices are stored in {BASE_CURRENCY}. Set how much 1 {BASE_CURRENCY} is worth in each currency;
+            leave a rate empty to hide that currency from the storefront.
+          </p>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          {Object.keys(CURRENCIES)
+            .filter((code) => code !== BASE_CURRENCY)
+            .map((code) => (
+              <div key={code}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  1 {BASE_CURRENCY} = {code}
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.0001"
+                  value={settings.general.exchangeRates?.[code] ?? ""}
+                  onChange={(e) => handleInputChange("general", "exchangeRates", {
+                    ...settings.general.exchangeRates,
+                    [code]: e.target.value === "" ? undefined : parseFloat(e.target.value)
+                  })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                  placeholder="e.g., 0.012"
+                />
+              </div>
+            ))}
+        </div>
+      </div>
+
       <div className="flex items-center gap-3">
         <input
           type="checkbox"
@@ -214,6 +337,172 @@ const Settings = () => {
         </div>
       </div>
 
+      {settings.payment.codEnabled && (
+        <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
+          <h5 className="font-medium text-gray-800">Cash on Delivery Rules</h5>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Advance Payment (%)
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={settings.payment.codAdvancePercent ?? 17}
+                onChange={(e) => handleInputChange("payment", "codAdvancePercent", Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">Paid online at checkout, the rest is collected on delivery</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Maximum COD Order Value (₹)
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={settings.payment.codMaxOrderValue ?? 0}
+                onChange={(e) => handleInputChange("payment", "codMaxOrderValue", parseFloat(e.target.value) || 0)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">0 means no limit</p>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Blocked Pincodes
+            </label>
+            <textarea
+              rows={2}
+              key={(settings.payment.codBlockedPincodes || []).join(",")}
+              defaultValue={(settings.payment.codBlockedPincodes || []).join(", ")}
+              onBlur={(e) => handleInputChange(
+                "payment",
+                "codBlockedPincodes",
+                e.target.value.split(/[\s,]+/).filter(Boolean)
+              )}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              placeholder="e.g., 110001, 400001"
+            />
+            <p className="text-xs text-gray-500 mt-1">COD is not offered for addresses in these pincodes</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Customer COD Trust
+            </label>
+            <div className="flex flex-col md:flex-row gap-2">
+              <input
+                type="email"
+                value={codCustomerEmail}
+                onChange={(e) => setCodCustomerEmail(e.target.value)}
+                className="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                placeholder="customer@example.com"
+              />
+              <button
+                type="button"
+                onClick={() => addCodCustomerRule("trusted")}
+                className="bg-green-100 text-green-700 px-4 py-2 rounded-lg text-sm hover:bg-green-200 transition duration-300"
+              >
+                Mark Trusted
+              </button>
+              <button
+                type="button"
+                onClick={() => addCodCustomerRule("blocked")}
+                className="bg-red-100 text-red-700 px-4 py-2 rounded-lg text-sm hover:bg-red-200 transition duration-300"
+              >
+                Block COD
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Trusted customers skip the maximum order value; blocked customers never see COD
+            </p>
+            {(settings.payment.codCustomerRules || []).length > 0 && (
+              <div className="mt-3 divide-y divide-gray-200 border border-gray-200 rounded-lg bg-white">
+                {settings.payment.codCustomerRules.map((rule) => (
+                  <div key={rule.email} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <span className="text-gray-800">{rule.email}</span>
+                    <div className="flex items-center gap-3">
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        rule.status === "trusted" ? "bg-green-100 text-green-800" : "bg-red-100 text-red-800"
+                      }`}>
+                        {rule.status}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => removeCodCustomerRule(rule.email)}
+                        className="text-gray-400 hover:text-red-600"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
+        <div className="flex items-center justify-between">
+          <div>
+            <h5 className="font-medium text-gray-800">Payment Reminders</h5>
+            <p className="text-sm text-gray-600">
+              Email a payment link for unpaid COD balances and overdue invoices
+            </p>
+          </div>
+          <label className="relative inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.payment.paymentReminders ?? true}
+              onChange={(e) => handleInputChange("payment", "paymentReminders", e.target.checked)}
+              className="sr-only peer"
+            />
+            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-purple-600"></div>
+          </label>
+        </div>
+
+        {(settings.payment.paymentReminders ?? true) && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Reminder Schedule (days)
+              </label>
+              <input
+                type="text"
+                key={(settings.payment.reminderCadenceDays ?? DEFAULT_REMINDER_CADENCE_DAYS).join(",")}
+                defaultValue={(settings.payment.reminderCadenceDays ?? DEFAULT_REMINDER_CADENCE_DAYS).join(", ")}
+                onBlur={(e) => {
+                  const days = parseCadenceDays(e.target.value);
+                  handleInputChange("payment", "reminderCadenceDays", days.length > 0 ? days : DEFAULT_REMINDER_CADENCE_DAYS);
+                }}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+                placeholder="e.g., 0, 3, 7, 14"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Days after the balance falls due to send each reminder
+              </p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Payment Link Valid For (days)
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={settings.payment.paymentLinkExpiryDays ?? DEFAULT_PAYMENT_LINK_EXPIRY_DAYS}
+                onChange={(e) => handleInputChange("payment", "paymentLinkExpiryDays", Math.max(1, parseInt(e.target.value) || 1))}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">A new link is sent once the previous one is about to expire</p>
+            </div>
+          </div>
+        )}
+      </div>
+
       {settings.payment.stripeEnabled && (
         <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
           <h5 className="font-medium text-gray-800">Stripe Configuration</h5>
@@ -253,7 +542,7 @@ const Settings = () => {
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Free Shipping Threshold ($)
+            Free Shipping Threshold ({CURRENCIES[BASE_CURRENCY].symbol})
           </label>
           <input
             type="number"
@@ -264,7 +553,7 @@ const Settings = () => {
         </div>
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Domestic Shipping ($)
+            Domestic Shipping ({CURRENCIES[BASE_CURRENCY].symbol})
           </label>
           <input
             type="number"
@@ -279,7 +568,7 @@ const Settings = () => {
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            International Shipping ($)
+            International Shipping ({CURRENCIES[BASE_CURRENCY].symbol})
           </label>
           <input
             type="number"
@@ -302,6 +591,270 @@ const Settings = () => {
           />
         </div>
       </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Ships From Pincode
+          </label>
+          <input
+            type="text"
+            value={settings.shipping.originPincode ?? ""}
+            onChange={(e) => handleInputChange("shipping", "originPincode", e.target.value.replace(/\D/g, "").slice(0, 6))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+            placeholder="e.g., 560001"
+          />
+          <p className="text-xs text-gray-500 mt-1">Used to estimate delivery dates for customers</p>
+        </div>
+      </div>
+
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+        Rates cover the first 500 g of billable weight (the larger of actual and volumetric weight
+        from each product&apos;s weight and dimensions); every further 500 g adds half the rate.
+      </div>
+    </div>
+  );
+
+  const renderReturnSettings = () => (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+        <div>
+          <h3 className="font-medium text-gray-800">Accept Returns</h3>
+          <p className="text-sm text-gray-600">Let customers request a return from My Orders after delivery</p>
+        </div>
+        <label className="relative inline-flex items-center cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.returns?.enabled ?? DEFAULT_RETURN_POLICY.enabled}
+            onChange={(e) => handleInputChange("returns", "enabled", e.target.checked)}
+            className="sr-only peer"
+          />
+          <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-purple-600"></div>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Return Window (days after delivery)
+          </label>
+          <input
+            type="number"
+            min="1"
+            max="90"
+            value={settings.returns?.windowDays ?? DEFAULT_RETURN_POLICY.windowDays}
+            onChange={(e) => handleInputChange("returns", "windowDays", Math.min(90, Math.max(1, parseInt(e.target.value) || 1)))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+      </div>
+
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+        Customers can cancel until an order ships. Approved cancellations and returns are refunded through
+        Razorpay, including the COD advance; cash collected on delivery has to be refunded separately.
+      </div>
+    </div>
+  );
+
+  const renderTaxSettings = () => {
+    const tax = { ...DEFAULT_TAX_SETTINGS, ...settings.tax };
+    const gstinState = isValidGstin(tax.gstin) ? findState(tax.gstin.slice(0, 2)) : null;
+
+    return (
+      <div className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              GSTIN
+            </label>
+            <input
+              type="text"
+              maxLength={15}
+              value={tax.gstin}
+              onChange={(e) => handleInputChange("tax", "gstin", e.target.value.toUpperCase().trim())}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 font-mono focus:ring-2 focus:ring-purple-500"
+              placeholder="e.g., 27ABCDE1234F1Z5"
+            />
+            {tax.gstin && !gstinState && (
+              <p className="text-xs text-red-600 mt-1">This doesn&apos;t look like a valid GSTIN</p>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Registered State
+            </label>
+            <select
+              value={tax.state}
+              onChange={(e) => handleInputChange("tax", "state", e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+            >
+              <option value="">Select state</option>
+              {INDIAN_STATES.map((state) => (
+                <option key={state.code} value={state.name}>{state.name}</option>
+              ))}
+            </select>
+            {gstinState && tax.state && gstinState.name !== tax.state && (
+              <p className="text-xs text-red-600 mt-1">Your GSTIN is registered in {gstinState.name}</p>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Default GST Rate
+            </label>
+            <select
+              value={tax.defaultGstRate}
+              onChange={(e) => handleInputChange("tax", "defaultGstRate", Number(e.target.value))}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+            >
+              {GST_RATES.map((rate) => (
+                <option key={rate} value={rate}>{rate}%</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Default HSN Code
+            </label>
+            <input
+              type="text"
+              maxLength={8}
+              value={tax.defaultHsnCode}
+              onChange={(e) => handleInputChange("tax", "defaultHsnCode", e.target.value.replace(/\D/g, ""))}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+              placeholder="e.g., 6117"
+            />
+            <p className="text-xs text-gray-500 mt-1">Used for products without their own HSN code and rate</p>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+          <div>
+            <h3 className="font-medium text-gray-800">Prices Include GST</h3>
+            <p className="text-sm text-gray-600">
+              {tax.pricesIncludeTax
+                ? "Product prices and shipping fees already contain GST; customers pay the listed price"
+                : "GST is added on top of product prices and shipping fees at checkout"}
+            </p>
+          </div>
+          <label className="relative inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={tax.pricesIncludeTax}
+              onChange={(e) => handleInputChange("tax", "pricesIncludeTax", e.target.checked)}
+              className="sr-only peer"
+            />
+            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-purple-600"></div>
+          </label>
+        </div>
+
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+          Orders shipped within your registered state are charged CGST and SGST (UTGST in union territories),
+          and orders to other states IGST. Shipping is taxed at the rate of the order&apos;s main item.
+        </div>
+      </div>
+    );
+  };
+
+  const renderNotificationSettings = () => (
+    <div className="space-y-6">
+      {[
+        { field: "emailOrders", title: "Order Emails", description: "Email me when a new order is placed" },
+        { field: "emailInventory", title: "Inventory Digest", description: "Email a summary of low and sold-out items with reorder suggestions" },
+        { field: "emailReviews", title: "Review Emails", description: "Email me when a review is waiting for moderation" }
+      ].map(({ field, title, description }) => (
+        <div key={field} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+          <div>
+            <h3 className="font-medium text-gray-800">{title}</h3>
+            <p className="text-sm text-gray-600">{description}</p>
+          </div>
+          <label className="relative inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.notifications[field] ?? true}
+              onChange={(e) => handleInputChange("notifications", field, e.target.checked)}
+              className="sr-only peer"
+            />
+            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-purple-600"></div>
+          </label>
+        </div>
+      ))}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Low Stock Alert Level
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={settings.notifications.lowStockAlert}
+            onChange={(e) => handleInputChange("notifications", "lowStockAlert", Math.max(0, parseInt(e.target.value) || 0))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">Used unless a product sets its own level on the Inventory page</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Digest Frequency
+          </label>
+          <select
+            value={settings.notifications.inventoryDigest || "daily"}
+            onChange={(e) => handleInputChange("notifications", "inventoryDigest", e.target.value)}
+            disabled={settings.notifications.emailInventory === false}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500 disabled:bg-gray-100"
+          >
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Digest Email
+          </label>
+          <input
+            type="email"
+            value={settings.notifications.inventoryEmail || ""}
+            onChange={(e) => handleInputChange("notifications", "inventoryEmail", e.target.value)}
+            placeholder={settings.general.storeEmail}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Days to Make More
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={settings.notifications.reorderLeadDays ?? DEFAULT_REORDER_LEAD_DAYS}
+            onChange={(e) => handleInputChange("notifications", "reorderLeadDays", Math.max(1, parseInt(e.target.value) || 1))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Days of Sales to Cover
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={settings.notifications.reorderCoverDays ?? DEFAULT_REORDER_COVER_DAYS}
+            onChange={(e) => handleInputChange("notifications", "reorderCoverDays", Math.max(1, parseInt(e.target.value) || 1))}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-purple-500"
+          />
+        </div>
+      </div>
+
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+        Stock is checked every hour. You get a notification the first time an item drops to its alert level or sells
+        out; reorder suggestions cover the days to make more plus the days of sales above, at the last 30 days' pace.
+      </div>
     </div>
   );
 
@@ -309,7 +862,9 @@ const Settings = () => {
     general: renderGeneralSettings(),
     payment: renderPaymentSettings(),
     shipping: renderShippingSettings(),
-    notifications: <div>Notifications settings coming soon...</div>,
+    returns: renderReturnSettings(),
+    tax: renderTaxSettings(),
+    notifications: renderNotificationSettings(),
     security: <div>Security settings coming soon...</div>
   };
 
@@ -329,6 +884,8 @@ const Settings = () => {
               { id: "general", name: "General", icon: "⚙️" },
               { id: "payment", name: "Payment", icon: "💳" },
               { id: "shipping", name: "Shipping", icon: "🚚" },
+              { id: "returns", name: "Returns", icon: "↩️" },
+              { id: "tax", name: "Tax", icon: "🧾" },
               { id: "notifications", name: "Notifications", icon: "🔔" },
               { id: "security", name: "Security", icon: "🔒" }
             ].map((tab) => (
@@ -0,0 +1,154 @@
+// cartSync.js - Debounced, revision-aware cart sync with /api/cart/update
+
+const SYNC_DELAY = 600;
+
+const quantityOf = (cart, itemId) => Number(cart?.[itemId]) || 0;
+
+// Three-way merge of a rejected local cart against the server's cart.
+// For each product: a change made on only one side wins; when both sides
+// changed it, the larger quantity is kept so nothing silently disappears.
+const resolveCartConflict = (baseCart = {}, localCart = {}, remoteCart = {}) => {
+  const merged = {};
+  const itemIds = new Set([
+    ...Object.keys(baseCart),
+    ...Object.keys(localCart),
+    ...Object.keys(remoteCart),
+  ]);
+
+  for (const itemId of [...itemIds].sort()) {
+    const base = quantityOf(baseCart, itemId);
+    const local = quantityOf(localCart, itemId);
+    const remote = quantityOf(remoteCart, itemId);
+
+    let quantity;
+    if (local === base) {
+      quantity = remote;
+    } else if (remote === base) {
+      quantity = local;
+    } else {
+      quantity = Math.max(local, remote);
+    }
+
+    if (quantity > 0) {
+      merged[itemId] = quantity;
+    }
+  }
+
+  return merged;
+};
+
+// Creates a sync queue for one signed-in cart. Changes passed to schedule()
+// are batched and only the latest snapshot is sent, together with the
+// revision the client last saw. A 409 from the server means another tab or
+// device wrote first: the carts are merged, onConflict is called with the
+// merged cart and the merge is retried against the server's revision.
+export const createCartSync = ({ http, onConflict, onError, delay = SYNC_DELAY }) => {
+  let revision = null;
+  let syncedCart = {};
+  let pendingCart = null;
+  let timer = null;
+  let inFlight = null;
+
+  // 409 conflicts come back as data rather than as errors
+  const postAxios = (url, body) => http.post(url, body, { validateStatus: (status) => status < 500 });
+
+  // fetch with keepalive is finished by the browser even when the page
+  // unloads, where an axios request would be cancelled with it
+  const postKeepalive = async (url, body) => {
+    const response = await fetch(new URL(url, http.defaults?.baseURL || window.location.origin), {
+      method: "POST",
+      keepalive: true,
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    if (response.status >= 500) throw new Error(`Cart sync failed (${response.status})`);
+    return { data: await response.json() };
+  };
+
+  // Returns true when a conflict re-queued a merged cart
+  const send = async (post = postAxios) => {
+    timer = null;
+    if (!pendingCart) return false;
+
+    const cartItems = pendingCart;
+    pendingCart = null;
+
+    try {
+      const { data } = await post("/api/cart/update", { cartItems, revision });
+
+      if (data.success) {
+        syncedCart = cartItems;
+        revision = data.revision ?? revision;
+        return false;
+      }
+
+      if (data.conflict) {
+        const remoteCart = data.cart || {};
+        // Anything queued while this request was in flight is newer still
+        const localCart = pendingCart || cartItems;
+        const mergedCart = resolveCartConflict(syncedCart, localCart, remoteCart);
+
+        syncedCart = remoteCart;
+        revision = data.revision;
+        pendingCart = mergedCart;
+        onConflict?.(mergedCart);
+        return true;
+      }
+
+      throw new Error(data.message || "Cart sync rejected");
+    } catch (error) {
+      // Keep the snapshot so the next change or flush retries it
+      pendingCart = pendingCart || cartItems;
+      onError?.(error);
+      return false;
+    }
+  };
+
+  const run = () => {
+    const request = (inFlight || Promise.resolve()).then(() => send());
+    inFlight = request;
+    request.then((conflicted) => {
+      if (inFlight === request) inFlight = null;
+      // Push the merged cart straight away
+      if (conflicted) schedule(pendingCart, 0);
+    });
+    return request;
+  };
+
+  const schedule = (cartItems, wait = delay) => {
+    pendingCart = cartItems;
+    clearTimeout(timer);
+    timer = setTimeout(run, wait);
+  };
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (inFlight) await inFlight;
+    if (pendingCart) await run();
+  };
+
+  // For a page being hidden, which may be about to close: the latest
+  // snapshot goes out at once with keepalive instead of queueing behind a
+  // request the browser could drop
+  const flushOnHide = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pendingCart) return;
+    if (await send(postKeepalive)) schedule(pendingCart, 0);
+  };
+
+  // Called with the cart and revision received from the server on login
+  const reset = (cart = {}, serverRevision = null) => {
+    clearTimeout(timer);
+    timer = null;
+    pendingCart = null;
+    syncedCart = cart;
+    revision = serverRevision;
+  };
+
+  const hasPendingChanges = () => Boolean(pendingCart || timer || inFlight);
+
+  return { schedule, flush, flushOnHide, reset, hasPendingChanges };
+};
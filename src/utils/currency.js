@@ -0,0 +1,56 @@
+// currency.js - Shared price conversion and formatting
+//
+// Catalog prices, quotes and order amounts are stored in BASE_CURRENCY.
+// Exchange rates are maintained by the seller in Settings as
+// "1 unit of base currency = rate units of the target currency".
+
+export const BASE_CURRENCY = "INR";
+
+export const CURRENCIES = {
+  INR: { symbol: "₹", name: "Indian Rupee", locale: "en-IN" },
+  USD: { symbol: "$", name: "US Dollar", locale: "en-US" },
+  EUR: { symbol: "€", name: "Euro", locale: "de-DE" },
+  GBP: { symbol: "£", name: "British Pound", locale: "en-GB" },
+  CAD: { symbol: "$", name: "Canadian Dollar", locale: "en-CA" },
+};
+
+// Currencies a customer can pick: the base plus any with a usable rate
+export const getAvailableCurrencies = (rates = {}) => [
+  BASE_CURRENCY,
+  ...Object.keys(rates).filter(
+    (code) => code !== BASE_CURRENCY && CURRENCIES[code] && Number(rates[code]) > 0
+  ),
+];
+
+const getExchangeRate = (currency, rates = {}) => {
+  if (!currency || currency === BASE_CURRENCY) return 1;
+  const rate = Number(rates[currency]);
+  return rate > 0 ? rate : null;
+};
+
+const convertPrice = (amount, currency = BASE_CURRENCY, rates = {}) => {
+  const rate = getExchangeRate(currency, rates) ?? 1;
+  return (Number(amount) || 0) * rate;
+};
+
+// Formats a base-currency amount in the given currency. Unknown currencies
+// or missing rates fall back to the base currency rather than showing a
+// wrong number with a foreign symbol.
+export const formatCurrency = (amount, currency = BASE_CURRENCY, rates = {}) => {
+  const code = getExchangeRate(currency, rates) ? currency : BASE_CURRENCY;
+  const { locale } = CURRENCIES[code] || CURRENCIES[BASE_CURRENCY];
+
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: code,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  }).format(convertPrice(amount, code, rates));
+};
+
+// Orders keep the currency and rate they were charged at, so history never
+// changes when the seller later edits the rate table
+export const formatOrderAmount = (amount, order) => {
+  const currency = order?.currency || BASE_CURRENCY;
+  return formatCurrency(amount, currency, { [currency]: order?.exchangeRate });
+};
@@ -0,0 +1,11 @@
+// download.js - Save a Blob or a string as a file from the browser
+
+// content is a Blob (such as an axios "blob" response) or text of the given type
+export const downloadFile = (content, fileName, type = "text/plain") => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,20 @@
+// dunning.js - Payment reminder settings for unpaid invoice balances
+//
+// The API server emails reminders, each with a Razorpay payment link, for
+// invoices that still have a balance due: COD orders whose balance wasn't
+// collected and invoices past their due date. Reminders follow the cadence
+// set in Settings > Payment and stop once the balance is paid. Sellers
+// can also send one from Invoices at any time.
+
+// Days after the balance fell due (the invoice's due date, or the day it
+// was issued) to send each reminder
+export const DEFAULT_REMINDER_CADENCE_DAYS = [0, 3, 7, 14];
+export const DEFAULT_PAYMENT_LINK_EXPIRY_DAYS = 7;
+
+// "0, 3, 7, 14" from the settings form -> [0, 3, 7, 14]
+export const parseCadenceDays = (value) => {
+  const days = (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((day) => Number(String(day).trim()))
+    .filter((day) => Number.isInteger(day) && day >= 0);
+  return [...new Set(days)].sort((a, b) => a - b);
+};
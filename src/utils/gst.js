@@ -0,0 +1,169 @@
+// gst.js - GST settings, Indian states and the monthly GST summary
+//
+// Each product carries an HSN code and a GST rate (or uses the store
+// default from Settings > Tax). The API server works out the tax when it
+// prices a quote: CGST and SGST (UTGST in union territories without a
+// legislature) within the store's own state, IGST otherwise. The result is
+// kept on the order and its invoice; these helpers validate the settings,
+// label the tax lines and total a month's invoices for GSTR-1.
+import { toCsv } from "./productImport.js";
+import { getTaxPeriod } from "./invoices.js";
+
+// The slabs in force since 22 September 2025
+export const GST_RATES = [0, 5, 18, 40];
+
+// Most handmade knitted and crocheted goods fall in the 5% slab
+export const DEFAULT_TAX_SETTINGS = {
+  gstin: "",
+  state: "",
+  pricesIncludeTax: true,
+  defaultGstRate: 5,
+  defaultHsnCode: "",
+};
+
+// States and union territories with their GST state codes
+export const INDIAN_STATES = [
+  { code: "01", name: "Jammu and Kashmir" },
+  { code: "02", name: "Himachal Pradesh" },
+  { code: "03", name: "Punjab" },
+  { code: "04", name: "Chandigarh", unionTerritory: true },
+  { code: "05", name: "Uttarakhand" },
+  { code: "06", name: "Haryana" },
+  { code: "07", name: "Delhi" },
+  { code: "08", name: "Rajasthan" },
+  { code: "09", name: "Uttar Pradesh" },
+  { code: "10", name: "Bihar" },
+  { code: "11", name: "Sikkim" },
+  { code: "12", name: "Arunachal Pradesh" },
+  { code: "13", name: "Nagaland" },
+  { code: "14", name: "Manipur" },
+  { code: "15", name: "Mizoram" },
+  { code: "16", name: "Tripura" },
+  { code: "17", name: "Meghalaya" },
+  { code: "18", name: "Assam" },
+  { code: "19", name: "West Bengal" },
+  { code: "20", name: "Jharkhand" },
+  { code: "21", name: "Odisha" },
+  { code: "22", name: "Chhattisgarh" },
+  { code: "23", name: "Madhya Pradesh" },
+  { code: "24", name: "Gujarat" },
+  { code: "26", name: "Dadra and Nagar Haveli and Daman and Diu", unionTerritory: true },
+  { code: "27", name: "Maharashtra" },
+  { code: "29", name: "Karnataka" },
+  { code: "30", name: "Goa" },
+  { code: "31", name: "Lakshadweep", unionTerritory: true },
+  { code: "32", name: "Kerala" },
+  { code: "33", name: "Tamil Nadu" },
+  { code: "34", name: "Puducherry" },
+  { code: "35", name: "Andaman and Nicobar Islands", unionTerritory: true },
+  { code: "36", name: "Telangana" },
+  { code: "37", name: "Andhra Pradesh" },
+  { code: "38", name: "Ladakh", unionTerritory: true },
+];
+
+// Older spellings customers still type into addresses
+const STATE_ALIASES = {
+  orissa: "Odisha",
+  pondicherry: "Puducherry",
+  "new delhi": "Delhi",
+  "nct of delhi": "Delhi",
+  "j&k": "Jammu and Kashmir",
+  uttaranchal: "Uttarakhand",
+  "andaman and nicobar": "Andaman and Nicobar Islands",
+};
+
+const simplify = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// The state for an address's state field, a state name or a state code
+export const findState = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  const alias = STATE_ALIASES[text.toLowerCase()];
+  const key = simplify(alias || text);
+  return INDIAN_STATES.find((state) => state.code === text.padStart(2, "0") || simplify(state.name) === key) || null;
+};
+
+// HSN codes are 4, 6 or 8 digits
+export const isValidHsnCode = (code) => /^(\d{4}|\d{6}|\d{8})$/.test(String(code || "").trim());
+
+const GSTIN_CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// State code, PAN, entity number, "Z" and a check character
+export const isValidGstin = (gstin) => {
+  const value = String(gstin || "").trim().toUpperCase();
+  if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value) || !findState(value.slice(0, 2))) return false;
+
+  const sum = [...value.slice(0, 14)].reduce((total, char, index) => {
+    const product = GSTIN_CHARS.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36] === value[14];
+};
+
+const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+export const formatTaxLabel = (line) => (line.rate !== null && line.rate !== undefined ? `${line.label} @ ${line.rate}%` : line.label);
+
+const addTo = (totals, key, fields, part, quantity = 0) => {
+  totals[key] = totals[key] || { ...fields, quantity: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 };
+  const row = totals[key];
+  row.quantity += quantity;
+  for (const field of ["taxableValue", "cgst", "sgst", "igst", "tax"]) {
+    row[field] = roundMoney(row[field] + (part[field] || 0));
+  }
+};
+
+// The month's invoices ("2026-10", in IST) totalled by HSN code and rate,
+// and by place of supply and rate, as GSTR-1 asks for them
+export const summarizeGst = (invoices, month) => {
+  const byHsn = {};
+  const byState = {};
+  const totals = {};
+  const monthInvoices = invoices.filter((invoice) => getTaxPeriod(invoice.issuedDate) === month);
+
+  for (const invoice of monthInvoices) {
+    const state = invoice.placeOfSupply ? `${invoice.placeOfSupply.code}-${invoice.placeOfSupply.name}` : "";
+    const parts = [
+      ...invoice.items.map((item) => ({ ...item.gst, quantity: item.quantity })),
+      invoice.shippingGst && { ...invoice.shippingGst, quantity: 0 },
+    ].filter((part) => part?.rate !== undefined);
+
+    for (const part of parts) {
+      addTo(byHsn, `${part.hsnCode}:${part.rate}`, { hsnCode: part.hsnCode, rate: part.rate }, part, part.quantity);
+      addTo(byState, `${state}:${part.rate}`, { placeOfSupply: state, supplyType: invoice.supplyType, rate: part.rate }, part);
+      addTo(totals, "all", {}, part);
+    }
+  }
+
+  const sortRows = (rows, field) =>
+    Object.values(rows).sort((a, b) => a.rate - b.rate || a[field].localeCompare(b[field]));
+  const sums = totals.all || { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 };
+
+  return {
+    month,
+    invoiceCount: monthInvoices.length,
+    taxableValue: sums.taxableValue,
+    cgst: sums.cgst,
+    sgst: sums.sgst,
+    igst: sums.igst,
+    tax: sums.tax,
+    byHsn: sortRows(byHsn, "hsnCode"),
+    byState: sortRows(byState, "placeOfSupply"),
+  };
+};
+
+const GST_SUMMARY_COLUMNS = ["section", "hsnCode", "placeOfSupply", "supplyType", "rate", "quantity", "taxableValue", "cgst", "sgstOrUtgst", "igst", "totalTax"];
+
+// Both tables in one file, told apart by the section column
+export const gstSummaryToCsv = (summary) =>
+  toCsv([
+    GST_SUMMARY_COLUMNS,
+    ...summary.byHsn.map((row) => ["HSN", row.hsnCode, "", "", row.rate, row.quantity, row.taxableValue, row.cgst, row.sgst, row.igst, row.tax]),
+    ...summary.byState.map((row) => ["Place of supply", "", row.placeOfSupply, row.supplyType, row.rate, "", row.taxableValue, row.cgst, row.sgst, row.igst, row.tax]),
+  ]);
@@ -0,0 +1,64 @@
+// guestCart.js - Browser-persisted cart for logged-out visitors
+import { PATTERN_ITEM_ID, parseCartKey } from "./variants.js";
+
+const GUEST_CART_KEY = "velvoria_guest_cart";
+
+// Read the guest cart, ignoring anything malformed
+export const loadGuestCart = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(GUEST_CART_KEY));
+    if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+      return {};
+    }
+
+    const cart = {};
+    for (const itemId in stored) {
+      const quantity = Number(stored[itemId]);
+      if (Number.isInteger(quantity) && quantity > 0) {
+        cart[itemId] = quantity;
+      }
+    }
+    return cart;
+  } catch {
+    return {};
+  }
+};
+
+export const saveGuestCart = (cartItems) => {
+  try {
+    if (Object.keys(cartItems).length === 0) {
+      localStorage.removeItem(GUEST_CART_KEY);
+    } else {
+      localStorage.setItem(GUEST_CART_KEY, JSON.stringify(cartItems));
+    }
+  } catch (error) {
+    console.error("Failed to persist guest cart:", error);
+  }
+};
+
+export const clearGuestCart = () => {
+  try {
+    localStorage.removeItem(GUEST_CART_KEY);
+  } catch (error) {
+    console.error("Failed to clear guest cart:", error);
+  }
+};
+
+// Combine the guest cart with the account cart. Quantities for the same
+// cart entry are summed, except patterns which are bought once; entries
+// missing from validKeys are dropped.
+export const mergeCarts = (guestCart = {}, accountCart = {}, validKeys = null) => {
+  const merged = {};
+
+  for (const cart of [accountCart, guestCart]) {
+    for (const itemId in cart) {
+      const quantity = Number(cart[itemId]);
+      if (!quantity || quantity <= 0) continue;
+      if (validKeys && !validKeys.has(itemId)) continue;
+      merged[itemId] =
+        parseCartKey(itemId).variantId === PATTERN_ITEM_ID ? 1 : (merged[itemId] || 0) + quantity;
+    }
+  }
+
+  return merged;
+};
@@ -0,0 +1,44 @@
+// invoices.js - Invoice numbers, tax periods and invoice status
+//
+// The API server issues an invoice once an order is paid. Numbers run per
+// Indian financial year (April to March) with no gaps, e.g. "VEL/26-27/00001".
+// An invoice is a snapshot of the order and the store details at that
+// moment; later edits to either don't change it.
+
+export const DEFAULT_INVOICE_PREFIX = "VEL";
+
+// GST invoice numbers may be at most 16 characters: "VELV/26-27/00001"
+export const MAX_INVOICE_PREFIX_LENGTH = 4;
+const SEQUENCE_DIGITS = 5;
+
+// Financial years turn over on 1 April in India, whatever the server's clock says
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const toIst = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS);
+
+// "2026-27" for any date from 1 April 2026 to 31 March 2027
+export const getFinancialYear = (date = new Date()) => {
+  const local = toIst(date);
+  const startYear = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+// The GST return month an invoice falls in, e.g. "2026-10"
+export const getTaxPeriod = (date = new Date()) => toIst(date).toISOString().slice(0, 7);
+
+const normalizeInvoicePrefix = (prefix) =>
+  String(prefix || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, MAX_INVOICE_PREFIX_LENGTH) || DEFAULT_INVOICE_PREFIX;
+
+export const formatInvoiceNumber = ({ prefix, financialYear, sequence }) =>
+  `${normalizeInvoicePrefix(prefix)}/${financialYear.slice(2)}/${String(sequence).padStart(SEQUENCE_DIGITS, "0")}`;
+
+export const getInvoiceStatus = (invoice, now = new Date()) => {
+  if (!(invoice.balanceDue > 0)) return "paid";
+  if (invoice.dueDate && new Date(invoice.dueDate).getTime() < new Date(now).getTime()) return "overdue";
+  return "pending";
+};
+
+export const getInvoiceFileName = (invoice) => `invoice-${invoice.number.replace(/\//g, "-")}.pdf`;
@@ -0,0 +1,28 @@
+// lowStock.js - Low-stock thresholds and levels
+//
+// The API server's scheduled low-stock check raises seller notifications,
+// sends the inventory digest and works out reorder suggestions; the
+// seller panel uses these helpers to label items with the same thresholds.
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Handmade stock takes time to make; reorder suggestions cover the time to
+// make more plus this many days of sales
+export const DEFAULT_REORDER_LEAD_DAYS = 7;
+export const DEFAULT_REORDER_COVER_DAYS = 30;
+
+const toThreshold = (value) => {
+  const threshold = Number(value);
+  return value !== "" && value !== null && Number.isInteger(threshold) && threshold >= 0 ? threshold : null;
+};
+
+// Variant, then product, then the store-wide setting
+export const getStockThreshold = (product, variant = null, defaultThreshold = DEFAULT_LOW_STOCK_THRESHOLD) =>
+  toThreshold(variant?.lowStockThreshold) ?? toThreshold(product.lowStockThreshold) ?? toThreshold(defaultThreshold) ??
+  DEFAULT_LOW_STOCK_THRESHOLD;
+
+export const getStockLevel = (stock, threshold) => {
+  if (stock <= 0) return "out";
+  if (stock <= threshold) return "low";
+  return "ok";
+};
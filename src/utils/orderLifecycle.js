@@ -0,0 +1,70 @@
+// orderLifecycle.js - The order state machine
+//
+// The single list of order statuses, which changes are allowed between
+// them and who may make each one. The API server enforces the same table
+// on every status change; the pages use getNextStatuses() and
+// canTransition() so they only offer valid moves.
+
+export const ORDER_STATUSES = [
+  "pending_payment",
+  "Order Placed",
+  "Processing",
+  "Shipped",
+  "Out for Delivery",
+  "Delivered",
+  "Cancelled",
+  "Returned",
+  "expired",
+];
+
+// from -> { to: actors allowed to make that change }. Actors are
+// "customer", "seller" and "system", which covers payment verification,
+// the unpaid-order expiry job and approved returns.
+const ORDER_TRANSITIONS = {
+  pending_payment: {
+    "Order Placed": ["system"],
+    Cancelled: ["customer", "seller"],
+    expired: ["system"],
+  },
+  "Order Placed": {
+    Processing: ["seller"],
+    Cancelled: ["customer", "seller"],
+  },
+  Processing: {
+    Shipped: ["seller"],
+    Cancelled: ["customer", "seller"],
+  },
+  Shipped: {
+    "Out for Delivery": ["seller"],
+    Delivered: ["seller"],
+  },
+  "Out for Delivery": {
+    Delivered: ["seller"],
+  },
+  Delivered: {
+    Returned: ["system"],
+  },
+  Cancelled: {},
+  Returned: {},
+  expired: {},
+};
+
+// Statuses written by the old order screens
+const LEGACY_STATUSES = {
+  pending: "Order Placed",
+  confirmed: "Processing",
+  shipped: "Shipped",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+};
+
+export const normalizeStatus = (status) => LEGACY_STATUSES[status] || status || "Order Placed";
+
+export const canTransition = (from, to, actor = "seller") =>
+  Boolean(ORDER_TRANSITIONS[normalizeStatus(from)]?.[to]?.includes(actor));
+
+// The statuses this actor can move the order to next
+export const getNextStatuses = (order, actor = "seller") =>
+  Object.entries(ORDER_TRANSITIONS[normalizeStatus(order?.status)] || {})
+    .filter(([, actors]) => actors.includes(actor))
+    .map(([status]) => status);
@@ -0,0 +1,49 @@
+// orderTracking.js - Order status history, timelines and carrier links
+//
+// Every status change is appended to order.statusHistory as
+//   { status, at, note, actor, from }
+// by the API server (status updates, tracking, payment verification).
+
+// The normal path of an order, in order
+const ORDER_STATUS_STEPS = ["Order Placed", "Processing", "Shipped", "Out for Delivery", "Delivered"];
+
+// Carrier tracking pages; {number} is replaced with the tracking number
+export const CARRIERS = {
+  DTDC: "https://www.dtdc.in/trace.asp?strCnno={number}",
+  "Blue Dart": "https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo={number}",
+  Delhivery: "https://www.delhivery.com/track/package/{number}",
+  "India Post": "https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx?consignmentno={number}",
+};
+
+export const getTrackingUrl = (tracking) => {
+  if (!tracking?.trackingNumber) return null;
+  if (tracking.trackingUrl) return tracking.trackingUrl;
+  const template = CARRIERS[tracking.carrier];
+  return template ? template.replace("{number}", encodeURIComponent(tracking.trackingNumber.trim())) : null;
+};
+
+// Orders placed before statusHistory existed only know when they were created
+const getHistory = (order) =>
+  order.statusHistory?.length > 0
+    ? order.statusHistory
+    : [{ status: order.status || "Order Placed", at: order.createdAt, note: "" }];
+
+// Timeline entries for display: every recorded change, then the steps
+// still to come on the normal path (none once cancelled or delivered)
+export const buildTimeline = (order) => {
+  const recorded = getHistory(order).map((entry) => ({ ...entry, done: true }));
+  const current = recorded[recorded.length - 1]?.status;
+  const currentStep = ORDER_STATUS_STEPS.indexOf(current);
+  const upcoming =
+    currentStep === -1 ? [] : ORDER_STATUS_STEPS.slice(currentStep + 1).map((status) => ({ status, done: false }));
+
+  return [...recorded, ...upcoming];
+};
+
+// The carrier's date once shipped, otherwise the window quoted at checkout
+export const getExpectedDelivery = (order) => {
+  if (order.tracking?.estimatedDelivery) {
+    return { from: order.tracking.estimatedDelivery, to: order.tracking.estimatedDelivery };
+  }
+  return order.estimatedDelivery?.from ? order.estimatedDelivery : null;
+};
@@ -0,0 +1,7 @@
+// pagination.js - Page sizes for the catalog endpoints
+//
+// The server pages by cursor; cursors are opaque to the storefront, which
+// only passes back the nextCursor it was given.
+
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 60;
@@ -0,0 +1,22 @@
+// patterns.js - Downloadable pattern purchases
+//
+// The server signs each download link and counts downloads; these helpers
+// decide when an order shows a pattern's download button and how many
+// downloads it has left, and cap the pattern file the seller uploads.
+
+// Downloads allowed per purchased pattern, unless the order line says otherwise
+const PATTERN_DOWNLOAD_LIMIT = 5;
+
+export const MAX_PATTERN_FILE_SIZE = 20 * 1024 * 1024; // 20MB
+
+// Order statuses in which the buyer may download what they paid for
+const DOWNLOADABLE_STATUSES = ["Order Placed", "Processing", "Shipped", "Out for Delivery", "Delivered"];
+
+export const isPatternItem = (item) => Boolean(item?.isPattern);
+
+// Pattern lines are only downloadable once the payment has been verified
+export const canDownloadPattern = (order, item) =>
+  isPatternItem(item) && order?.isPaid === true && DOWNLOADABLE_STATUSES.includes(order.status);
+
+export const getDownloadsRemaining = (item, limit = PATTERN_DOWNLOAD_LIMIT) =>
+  Math.max(0, (item?.downloadLimit ?? limit) - (item?.downloadsUsed ?? 0));
@@ -0,0 +1,79 @@
+// productHistory.js - Field-level change history for catalog edits
+//
+// The server records a { field, from, to } change for every edit; the
+// Change History panel on the seller's product form labels and formats them.
+
+// Fields worth recording, with the labels shown in the seller panel
+export const PRODUCT_HISTORY_FIELDS = {
+  name: "Name",
+  description: "Description",
+  category: "Category",
+  price: "Price",
+  offerPrice: "Offer Price",
+  stock: "Stock",
+  materials: "Materials",
+  careInstructions: "Care Instructions",
+  skillLevel: "Skill Level",
+  weight: "Weight",
+  dimensions: "Dimensions",
+  tags: "Tags",
+  hsnCode: "HSN Code",
+  gstRate: "GST Rate",
+  image: "Images",
+  patternAvailable: "Pattern Available",
+  patternPrice: "Pattern Price",
+  patternFileName: "Pattern File",
+  options: "Options",
+  variants: "Variants",
+};
+
+export const HISTORY_ACTIONS = {
+  created: { label: "Created", icon: "✨" },
+  updated: { label: "Edited", icon: "✏️" },
+  archived: { label: "Archived", icon: "🗄️" },
+  restored: { label: "Restored", icon: "♻️" },
+};
+
+// Display form of a recorded value. Values saved from the multipart form
+// are strings, so "1999", "true" and JSON-encoded arrays are parsed first.
+const normalize = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "string") {
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed !== null && typeof parsed !== "string") return normalize(parsed);
+    } catch {
+      // plain string
+    }
+    return value.trim();
+  }
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, normalize(value[key])])
+    );
+  }
+  return value;
+};
+
+// Short human-readable form of a recorded value
+export const formatHistoryValue = (value) => {
+  const normalized = normalize(value);
+  if (normalized === null) return "—";
+  if (Array.isArray(normalized)) {
+    if (normalized.some((item) => item && typeof item === "object")) {
+      return `${normalized.length} item${normalized.length === 1 ? "" : "s"}`;
+    }
+    return normalized.join(", ");
+  }
+  if (typeof normalized === "object") {
+    return Object.entries(normalized)
+      .filter(([, v]) => v !== null)
+      .map(([k, v]) => `${k}: ${v}`)
+      .join(", ");
+  }
+  if (typeof normalized === "boolean") return normalized ? "Yes" : "No";
+  return String(normalized);
+};
@@ -0,0 +1,35 @@
+// productImport.js - CSV/JSON catalog import columns
+//
+// /api/product/import validates and saves uploaded files, and
+// /api/product/export writes them; the seller panel only needs the column
+// layout for its template and a CSV writer.
+
+// Columns in file order. List fields hold several values joined by LIST_SEPARATOR.
+export const IMPORT_COLUMNS = [
+  "name",
+  "description",
+  "category",
+  "price",
+  "offerPrice",
+  "stock",
+  "materials",
+  "careInstructions",
+  "skillLevel",
+  "weight",
+  "length",
+  "width",
+  "height",
+  "patternAvailable",
+  "patternPrice",
+  "tags",
+  "imageUrls",
+];
+
+export const LIST_SEPARATOR = "|";
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map((row) => row.map(escapeCsv).join(",")).join("\r\n");
@@ -0,0 +1,14 @@
+// productSearch.js - Catalog search facets
+//
+// /api/product/search ranks and filters the catalog; the storefront only
+// needs the facet definitions to build and read its URL.
+
+export const PRICE_BANDS = [
+  { id: "0-500", label: "Under ₹500", min: 0, max: 500 },
+  { id: "500-1000", label: "₹500 - ₹1,000", min: 500, max: 1000 },
+  { id: "1000-2000", label: "₹1,000 - ₹2,000", min: 1000, max: 2000 },
+  { id: "2000+", label: "Over ₹2,000", min: 2000, max: Infinity },
+];
+
+// Filters that may hold several comma-separated values in the URL
+export const MULTI_VALUE_FILTERS = ["category", "price", "skillLevel", "materials"];
@@ -0,0 +1,82 @@
+// returns.js - Customer cancellations, return requests and refund amounts
+//
+// The server accepts cancellations and return requests and issues the
+// refunds. Customers' order pages use these rules to show the Cancel and
+// Return buttons and check a request; the seller's Returns page shows
+// what each refund will send back through Razorpay.
+import { canTransition } from "./orderLifecycle.js";
+
+export const DEFAULT_RETURN_POLICY = { enabled: true, windowDays: 7 };
+
+export const RETURN_REASONS = [
+  "Damaged or defective",
+  "Wrong item received",
+  "Not as described",
+  "Size or fit issue",
+  "Changed my mind",
+  "Other",
+];
+
+export const RETURN_STATUSES = {
+  requested: { label: "Return Requested", color: "bg-yellow-100 text-yellow-800" },
+  approved: { label: "Return Approved", color: "bg-blue-100 text-blue-800" },
+  rejected: { label: "Return Rejected", color: "bg-red-100 text-red-800" },
+  refunded: { label: "Refunded", color: "bg-green-100 text-green-800" },
+};
+
+export const MAX_RETURN_PHOTOS = 3;
+const MAX_RETURN_PHOTO_SIZE = 5 * 1024 * 1024; // 5MB
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hasPhysicalItems = (order) => (order.items || []).some((item) => !item.isPattern);
+
+// Customers can cancel until the order ships
+export const canCancelOrder = (order) => canTransition(order?.status, "Cancelled", "customer");
+
+// When the order was delivered, from its status history
+const getDeliveredAt = (order) => {
+  const delivered = [...(order.statusHistory || [])].reverse().find((entry) => entry.status === "Delivered");
+  return delivered?.at || order.deliveredAt || null;
+};
+
+export const getReturnDeadline = (order, policy = DEFAULT_RETURN_POLICY) => {
+  const deliveredAt = getDeliveredAt(order);
+  return deliveredAt ? new Date(new Date(deliveredAt).getTime() + policy.windowDays * DAY_MS) : null;
+};
+
+// Digital patterns are not returnable, and each order gets one request
+export const canRequestReturn = (order, policy = DEFAULT_RETURN_POLICY, now = new Date()) => {
+  if (!policy.enabled || order?.status !== "Delivered" || order.returnRequest) return false;
+  if (!hasPhysicalItems(order)) return false;
+  const deadline = getReturnDeadline(order, policy);
+  return Boolean(deadline) && new Date(now) <= deadline;
+};
+
+// { field: message } for everything wrong with a return request
+export const validateReturnRequest = ({ reason, details = "", photos = [] }) => {
+  const errors = {};
+  if (!RETURN_REASONS.includes(reason)) errors.reason = "Choose a reason for the return";
+  if (reason === "Other" && details.trim().length < 10) errors.details = "Tell us a little more (10+ characters)";
+  if (details.length > 1000) errors.details = "Keep it under 1000 characters";
+  if (photos.length > MAX_RETURN_PHOTOS) errors.photos = `Add up to ${MAX_RETURN_PHOTOS} photos`;
+  else if (photos.some((photo) => photo.size > MAX_RETURN_PHOTO_SIZE)) errors.photos = "Each photo must be 5MB or smaller";
+  return errors;
+};
+
+// What went through Razorpay for this order, in the order's base amount.
+// COD orders only prepaid the advance; the balance was paid in cash and
+// is settled outside the gateway.
+export const getRefundBreakdown = (order) => {
+  const total = order.totalAmount ?? order.amount ?? 0;
+
+  if (order.paymentType === "COD_Advance") {
+    const advance = order.advancePaid ?? 0;
+    const delivered = ["Delivered", "Returned"].includes(order.status);
+    const cashCollected = delivered ? order.remainingAmount ?? total - advance : 0;
+    return { gatewayAmount: advance, cashAmount: cashCollected, total: advance + cashCollected };
+  }
+
+  const gatewayAmount = order.isPaid ? total : 0;
+  return { gatewayAmount, cashAmount: 0, total: gatewayAmount };
+};
@@ -0,0 +1,53 @@
+// reviews.js - Verified-buyer product reviews and rating aggregates
+//
+// The server decides who may review and keeps product.rating up to date.
+// The review form checks a submission before sending it, and the seller's
+// Reviews page averages the approved reviews it lists.
+
+export const MAX_REVIEW_PHOTOS = 3;
+const MAX_REVIEW_PHOTO_SIZE = 5 * 1024 * 1024; // 5MB
+export const REVIEW_PHOTO_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const MIN_COMMENT_LENGTH = 10;
+export const MAX_COMMENT_LENGTH = 1000;
+
+// { field: message } for everything wrong with a submission
+export const validateReview = ({ rating, comment, photos = [] }) => {
+  const errors = {};
+  const stars = Number(rating);
+  const text = String(comment ?? "").trim();
+
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    errors.rating = "Choose a rating from 1 to 5 stars";
+  }
+  if (text.length < MIN_COMMENT_LENGTH) {
+    errors.comment = `Write at least ${MIN_COMMENT_LENGTH} characters`;
+  } else if (text.length > MAX_COMMENT_LENGTH) {
+    errors.comment = `Keep it under ${MAX_COMMENT_LENGTH} characters`;
+  }
+  if (photos.length > MAX_REVIEW_PHOTOS) {
+    errors.photos = `Add up to ${MAX_REVIEW_PHOTOS} photos`;
+  } else if (photos.some((photo) => photo.size > MAX_REVIEW_PHOTO_SIZE)) {
+    errors.photos = "Each photo must be 5MB or smaller";
+  } else if (photos.some((photo) => !REVIEW_PHOTO_TYPES.includes(photo.type))) {
+    errors.photos = "Photos must be JPEG, PNG, or WebP";
+  }
+
+  return errors;
+};
+
+// Average rating (one decimal), count and star breakdown of approved reviews
+export const summarizeReviews = (reviews = []) => {
+  const approved = reviews.filter((review) => review.status === "approved");
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  for (const review of approved) {
+    if (distribution[review.rating] !== undefined) distribution[review.rating] += 1;
+  }
+
+  const total = approved.reduce((sum, review) => sum + review.rating, 0);
+  return {
+    rating: approved.length > 0 ? Math.round((total / approved.length) * 10) / 10 : 0,
+    reviewCount: approved.length,
+    distribution,
+  };
+};
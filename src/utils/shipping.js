@@ -0,0 +1,144 @@
+// shipping.js - Shipping rate and delivery estimate calculator
+//
+// Follows the rules in Settings > Shipping. The cart uses it for the
+// delivery dates and the "add X more for free shipping" hint; the shipping
+// charge itself comes from the checkout quote.
+
+const DEFAULT_SHIPPING_SETTINGS = {
+  freeShippingThreshold: 0,
+  domesticShipping: 0,
+  internationalShipping: 0,
+  processingTime: "2-3 business days",
+  originCountry: "India",
+  originPincode: "",
+};
+
+const SLAB_GRAMS = 500;
+const EXTRA_SLAB_RATE = 0.5; // each slab after the first costs half the base rate
+const DEFAULT_PARCEL_HEIGHT_IN = 2; // older products only record length and width
+const VOLUMETRIC_DIVISOR = 5000; // cm³ per kg, the usual courier factor
+const CUBIC_CM_PER_CUBIC_INCH = 16.387;
+
+// Pincode prefixes that couriers treat as remote (J&K/Himachal, North East, islands)
+const REMOTE_PINCODE_PREFIXES = ["18", "19", "17", "78", "79", "744"];
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+};
+
+const parseDimensions = (dimensions) => {
+  if (typeof dimensions === "string") {
+    try {
+      return JSON.parse(dimensions) || {};
+    } catch {
+      return {};
+    }
+  }
+  return dimensions || {};
+};
+
+// Billable weight of one unit in grams: the larger of actual and volumetric weight
+const getBillableWeight = (product) => {
+  const actual = toNumber(product?.weight);
+  const { length, width, height } = parseDimensions(product?.dimensions);
+
+  const l = toNumber(length);
+  const w = toNumber(width);
+  if (!l || !w) return actual;
+
+  const h = toNumber(height) || DEFAULT_PARCEL_HEIGHT_IN;
+  const volumeCm3 = l * w * h * CUBIC_CM_PER_CUBIC_INCH;
+  const volumetric = (volumeCm3 / VOLUMETRIC_DIVISOR) * 1000;
+
+  return Math.max(actual, volumetric);
+};
+
+const isDomestic = (address, settings) => {
+  const country = address?.country?.trim().toLowerCase();
+  return !country || country === settings.originCountry.trim().toLowerCase();
+};
+
+const isRemotePincode = (pincode) =>
+  REMOTE_PINCODE_PREFIXES.some((prefix) => String(pincode || "").startsWith(prefix));
+
+// Transit days as [min, max] for the destination
+const getTransitDays = (address, settings = DEFAULT_SHIPPING_SETTINGS) => {
+  const merged = { ...DEFAULT_SHIPPING_SETTINGS, ...settings };
+  if (!isDomestic(address, merged)) return [10, 15];
+
+  const origin = String(merged.originPincode || "");
+  const destination = String(address?.pincode || "");
+
+  let transit = [5, 7];
+  if (origin && destination) {
+    if (origin.slice(0, 3) === destination.slice(0, 3)) {
+      transit = [1, 2];
+    } else if (origin.slice(0, 2) === destination.slice(0, 2)) {
+      transit = [2, 3];
+    } else if (origin[0] === destination[0]) {
+      transit = [3, 5];
+    }
+  }
+
+  if (isRemotePincode(destination)) {
+    transit = [transit[0] + 2, transit[1] + 3];
+  }
+  return transit;
+};
+
+// "2-3 business days" -> [2, 3]; "5 days" -> [5, 5]
+const parseProcessingTime = (processingTime) => {
+  const numbers = String(processingTime || "").match(/\d+/g)?.map(Number) || [];
+  if (numbers.length === 0) return [2, 3];
+  return [numbers[0], numbers[1] ?? numbers[0]];
+};
+
+// Adds business days, skipping Sundays
+const addBusinessDays = (date, days) => {
+  const result = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    if (result.getDay() !== 0) remaining -= 1;
+  }
+  return result;
+};
+
+// items: [{ product, quantity }], subtotal in the store's base currency
+export const calculateShipping = ({
+  items = [],
+  subtotal = 0,
+  address = null,
+  settings = DEFAULT_SHIPPING_SETTINGS,
+  now = new Date(),
+}) => {
+  const merged = { ...DEFAULT_SHIPPING_SETTINGS, ...settings };
+  const domestic = isDomestic(address, merged);
+  const baseRate = toNumber(domestic ? merged.domesticShipping : merged.internationalShipping);
+
+  const totalWeight = items.reduce(
+    (sum, { product, quantity }) => sum + getBillableWeight(product) * (quantity || 0),
+    0
+  );
+  const slabs = Math.max(1, Math.ceil(totalWeight / SLAB_GRAMS));
+  const rate = baseRate * (1 + (slabs - 1) * EXTRA_SLAB_RATE);
+
+  const threshold = toNumber(merged.freeShippingThreshold);
+  const isFree = baseRate === 0 || (threshold > 0 && subtotal >= threshold);
+
+  const [processingMin, processingMax] = parseProcessingTime(merged.processingTime);
+  const [transitMin, transitMax] = getTransitDays(address, merged);
+
+  return {
+    cost: isFree ? 0 : Math.round(rate * 100) / 100,
+    isFree,
+    zone: domestic ? (isRemotePincode(address?.pincode) ? "remote" : "domestic") : "international",
+    billableWeight: Math.round(totalWeight),
+    amountToFreeShipping: !isFree && threshold > 0 ? Math.max(0, threshold - subtotal) : 0,
+    estimatedDelivery: {
+      from: addBusinessDays(now, processingMin + transitMin),
+      to: addBusinessDays(now, processingMax + transitMax),
+    },
+  };
+};
@@ -0,0 +1,26 @@
+// stock.js - Available stock for product pages and the cart
+//
+// product.stock (or variant.stock) is what can still be sold. The API
+// server reserves units at checkout, commits them on payment and releases
+// them when an unpaid order expires or is cancelled, recording each change
+// in the stock ledger (stockLedger.js). The storefront only reads the result.
+
+// Product pages and the cart show "only N left" at or below this
+export const SCARCITY_THRESHOLD = 5;
+
+const hasStockValue = (value) => value !== undefined && value !== null && value !== "";
+
+// Units that can still be bought, or null when the product doesn't track
+// stock. Variants always track stock; a blank variant stock means none.
+export const getAvailableStock = (product, variant = null) => {
+  if (!product || product.isPattern) return null;
+  if (product.inStock === false) return 0;
+
+  const source = variant || product;
+  if (!variant && !hasStockValue(source.stock)) return null;
+  const stock = Number(source.stock);
+  return Number.isFinite(stock) ? Math.max(0, Math.floor(stock)) : 0;
+};
+
+// A resolved cart line (see resolveCartItem) carries its variant
+export const getItemStock = (item) => getAvailableStock(item, item?.variant);
@@ -0,0 +1,42 @@
+// stockLedger.js - Stock ledger movement types and balances
+//
+// The server records every stock change as a movement:
+//   { productId, variantId, type, quantity, reason, orderId, actor: { id, name, role }, at }
+// Movements are never edited; a mistake is fixed with a correction, which
+// is also how a product's opening balance and product imports are recorded.
+// These helpers label and total the movements the Inventory page shows.
+import { getCartKey } from "./variants.js";
+
+// How each type moves sellable stock and reserved stock, per unit.
+// Corrections carry their own sign; every other quantity is positive.
+export const MOVEMENT_TYPES = {
+  restock: { label: "Restock", stock: 1, reserved: 0, color: "bg-green-100 text-green-800" },
+  reservation: { label: "Reserved at Checkout", stock: -1, reserved: 1, color: "bg-gray-100 text-gray-700" },
+  release: { label: "Reservation Released", stock: 1, reserved: -1, color: "bg-gray-100 text-gray-700" },
+  sale: { label: "Sale", stock: 0, reserved: -1, color: "bg-blue-100 text-blue-800" },
+  return: { label: "Return", stock: 1, reserved: 0, color: "bg-purple-100 text-purple-800" },
+  damage: { label: "Damaged / Lost", stock: -1, reserved: 0, color: "bg-red-100 text-red-800" },
+  correction: { label: "Correction", stock: 1, reserved: 0, color: "bg-yellow-100 text-yellow-800" },
+};
+
+// Movements a seller records by hand; the rest come from orders
+export const MANUAL_MOVEMENT_TYPES = ["restock", "damage", "correction"];
+
+// { stock, reserved } change for one movement. A type this page doesn't
+// know (from an older or newer server) moves nothing rather than failing.
+export const getMovementEffect = ({ type, quantity }) => {
+  const { stock = 0, reserved = 0 } = MOVEMENT_TYPES[type] || {};
+  return { stock: stock * quantity, reserved: reserved * quantity };
+};
+
+// Oldest first, each with its item's sellable stock after it
+export const withBalances = (movements) => {
+  const balances = {};
+  return [...movements]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .map((movement) => {
+      const key = getCartKey(movement.productId, movement.variantId);
+      balances[key] = (balances[key] || 0) + getMovementEffect(movement).stock;
+      return { ...movement, balance: balances[key] };
+    });
+};
@@ -0,0 +1,172 @@
+// variants.js - Product variants (colour, size, ...) and variant-aware cart keys
+//
+// A product may define option axes, e.g.
+//   options:  [{ name: "Colour", values: ["Lilac", "Sage"] }, { name: "Size", values: ["S", "M"] }]
+//   variants: [{ id, sku, options: { Colour: "Lilac", Size: "S" }, price, offerPrice, stock, imageIndexes }]
+// Variant price and offerPrice are optional and fall back to the product's.
+// imageIndexes picks a subset of product.image; empty means all images.
+// The seller's product form builds variants with these helpers; the
+// product page, product cards and cart pick prices, stock and images with
+// them, and the cart resolves "productId:variantId" keys back to a variant.
+
+export const MAX_OPTION_AXES = 3;
+
+const CART_KEY_SEPARATOR = ":";
+
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+// Digital patterns are sold as their own cart line, "productId:pattern"
+export const PATTERN_ITEM_ID = "pattern";
+
+// Cart entries are keyed by product id, or "productId:variantId" for variants
+export const getCartKey = (productId, variantId) =>
+  variantId ? `${productId}${CART_KEY_SEPARATOR}${variantId}` : productId;
+
+export const parseCartKey = (key) => {
+  const [productId, variantId = null] = String(key).split(CART_KEY_SEPARATOR);
+  return { productId, variantId };
+};
+
+const slug = (value) =>
+  String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// Stable id from the option values, so editing prices never changes it
+const getVariantId = (optionValues) =>
+  Object.values(optionValues).map(slug).join("_");
+
+// Every combination of option values, in axis order
+const generateCombinations = (options = []) =>
+  options
+    .filter((option) => option.name?.trim() && option.values?.length > 0)
+    .reduce(
+      (combinations, option) =>
+        combinations.flatMap((combination) =>
+          option.values.map((value) => ({ ...combination, [option.name.trim()]: value }))
+        ),
+      [{}]
+    )
+    .filter((combination) => Object.keys(combination).length > 0);
+
+const skuPart = (value, length) =>
+  String(value || "")
+    .replace(/[^a-z0-9]/gi, "")
+    .toUpperCase()
+    .slice(0, length);
+
+// e.g. "Cozy Blanket" in home-decor -> "VEL-HOM-COZ"
+export const generateBaseSku = ({ name, category }) =>
+  ["VEL", skuPart(category, 3) || "GEN", skuPart(name, 3) || "ITM"].join("-");
+
+// e.g. VEL-HOM-COZ + { Colour: "Lilac", Size: "Large" } -> "VEL-HOM-COZ-LIL-LAR"
+export const generateSku = (baseSku, optionValues) =>
+  [baseSku, ...Object.values(optionValues).map((value) => skuPart(value, 3))].join("-");
+
+// Rebuilds the variant list after the option axes change, keeping what the
+// seller already entered for combinations that still exist. Without a
+// baseSku new variants get an empty SKU to be filled in later.
+export const buildVariants = (options, existingVariants = [], baseSku = "") => {
+  const existing = new Map(existingVariants.map((variant) => [variant.id, variant]));
+
+  return generateCombinations(options).map((optionValues) => {
+    const id = getVariantId(optionValues);
+    return (
+      existing.get(id) || {
+        id,
+        sku: baseSku ? generateSku(baseSku, optionValues) : "",
+        options: optionValues,
+        price: "",
+        offerPrice: "",
+        stock: "",
+        imageIndexes: [],
+      }
+    );
+  });
+};
+
+const findVariant = (product, variantId) =>
+  hasVariants(product) ? product.variants.find((variant) => variant.id === variantId) || null : null;
+
+// The variant matching a full selection of option values, if any
+export const findVariantBySelection = (product, selection = {}) =>
+  hasVariants(product)
+    ? product.variants.find((variant) =>
+        Object.entries(variant.options).every(([axis, value]) => selection[axis] === value)
+      ) || null
+    : null;
+
+export const getVariantLabel = (variant) =>
+  variant ? Object.values(variant.options).join(" / ") : "";
+
+const toAmount = (value) => {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+export const getVariantPrice = (product, variant) => ({
+  price: toAmount(variant?.price) ?? product.price,
+  offerPrice: toAmount(variant?.offerPrice) ?? product.offerPrice,
+});
+
+export const getVariantImages = (product, variant) => {
+  const images = product.image || [];
+  const picked = (variant?.imageIndexes || []).map((index) => images[index]).filter(Boolean);
+  return picked.length > 0 ? picked : images;
+};
+
+export const isVariantInStock = (product, variant) => {
+  if (!variant) return Boolean(product.inStock);
+  const stock = Number(variant.stock);
+  return product.inStock !== false && Number.isFinite(stock) && stock > 0;
+};
+
+// Lowest offer price across variants, for "from ₹X" listings
+export const getStartingPrice = (product) => {
+  if (!hasVariants(product)) return product.offerPrice || product.price;
+  return Math.min(
+    ...product.variants.map((variant) => {
+      const { price, offerPrice } = getVariantPrice(product, variant);
+      return offerPrice || price;
+    })
+  );
+};
+
+// A pattern PDF bought on its own; null once the seller stops selling it
+const resolvePatternItem = (product) => {
+  const patternPrice = toAmount(product.patternPrice);
+  if (!product.patternAvailable || !patternPrice) return null;
+
+  return {
+    ...product,
+    price: patternPrice,
+    offerPrice: patternPrice,
+    variant: null,
+    variantLabel: "Digital Pattern (PDF)",
+    isPattern: true,
+    cartKey: getCartKey(product._id, PATTERN_ITEM_ID),
+  };
+};
+
+// The product as a cart line: variant price, images and label applied.
+// Returns null when the product or variant no longer exists.
+export const resolveCartItem = (product, variantId) => {
+  if (!product) return null;
+  if (variantId === PATTERN_ITEM_ID) return resolvePatternItem(product);
+  if (!variantId) return hasVariants(product) ? null : { ...product, variant: null, cartKey: product._id };
+
+  const variant = findVariant(product, variantId);
+  if (!variant) return null;
+
+  return {
+    ...product,
+    ...getVariantPrice(product, variant),
+    image: getVariantImages(product, variant),
+    sku: variant.sku || product.sku,
+    variant,
+    variantLabel: getVariantLabel(variant),
+    cartKey: getCartKey(product._id, variant.id),
+  };
+};
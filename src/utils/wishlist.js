@@ -0,0 +1,8 @@
+// wishlist.js - Back-in-stock detection
+//
+// The server emails customers who wishlisted an item when it comes back
+// into stock. Inventory uses isRestock() to tell the seller when a stock
+// change they recorded sent those alerts.
+
+// The first stock update that takes an item from sold out to available
+export const isRestock = (previousStock, newStock) => Number(previousStock) <= 0 && Number(newStock) > 0;